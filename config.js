@@ -1,37 +1,21 @@
-const SHEET_PROFILES = {
-  a: {
-    name: 'Sheet A (gid=1879732679)',
-    urlFragment: 'docs.google.com/spreadsheets/d/1gBryReeOb7g8zQBcmXZfL57p-kbcC-gC_xkCF_qqoFY',
-    gid: '1879732679',
-    columns: { fullName: 'D', email: 'F', status: 'O', gustoCompleted: 'P' },
-    statusValue: 'Yes',
-    completedYes: 'YES',
-    completedNo: 'NO',
-  },
-  b: {
-    name: 'Sheet B (gid=208364001)',
-    urlFragment: 'docs.google.com/spreadsheets/d/1gBryReeOb7g8zQBcmXZfL57p-kbcC-gC_xkCF_qqoFY',
-    gid: '208364001',
-    columns: { fullName: 'D', email: 'F', status: 'P', gustoCompleted: 'Q' },
-    statusValue: 'YES',
-    completedYes: 'YES',
-    completedNo: 'NO',
-  },
-};
-
-const profileKey = process.argv.includes('--sheet-b') ? 'b' : 'a';
-const activeSheet = SHEET_PROFILES[profileKey];
+import { loadProfile, selectedProfileKey } from './src/profiles.js';
+import { resolveConfig } from './src/configLayers.js';
+import { log } from './src/utils.js';
 
-export const CONFIG = {
+// Built-in defaults. Each setting can be overridden, later layers winning, by
+// the user config file, a GUSTOAUTO_* environment variable or a CLI flag
+// (see src/configLayers.js; `npm run config -- show` lists the result).
+export const DEFAULTS = {
   cdpUrl: 'http://127.0.0.1:9222',
 
-  sheets: {
-    urlFragment: activeSheet.urlFragment,
-    columns: activeSheet.columns,
-    statusValue: activeSheet.statusValue,
-    completedYes: activeSheet.completedYes,
-    completedNo: activeSheet.completedNo,
-    profileName: activeSheet.name,
+  // Only used with --source sheets-api. Point baseUrl at a local stand-in server for testing.
+  // Also read from SHEETS_API_BASE_URL, SHEETS_API_TOKEN_URL, GOOGLE_SHEETS_TOKEN and
+  // GOOGLE_APPLICATION_CREDENTIALS (see ENV_ALIASES in src/configLayers.js).
+  sheetsApi: {
+    baseUrl: 'https://sheets.googleapis.com/v4',
+    tokenUrl: null,
+    token: null,
+    keyFile: null,
   },
 
   gusto: {
@@ -40,9 +24,20 @@ export const CONFIG = {
     onboardingUrl: 'https://app.gusto.com/people/onboarding',
     contractStartDate: { month: '02', day: '17', year: '2026' },
     wageType: 'Fixed',
+    payAmount: null,
+
+    // Defaults for W-2 employee rows (Worker Type = Employee)
+    employee: {
+      wageType: 'Hourly',
+      payAmount: null,
+      jobTitle: null,
+      workLocation: null,
+      paySchedule: null,
+    },
   },
 
   delays: {
+    // Not read anywhere any more (see UNUSED_SETTINGS); kept so old config files still load
     actionMin: 50,
     actionMax: 100,
     typeMin: 10,
@@ -52,4 +47,66 @@ export const CONFIG = {
     batchSize: 10,
     batchPause: 6000,
   },
+
+  // Name matching against Gusto's people lists when the email doesn't match (0..1 similarity)
+  matching: {
+    threshold: 0.85,
+    ambiguityMargin: 0.05,
+  },
+
+  // Local row cache (.cache/): entries older than this are re-checked; null keeps them forever
+  cache: {
+    ttlHours: 24 * 7,
+  },
+
+  // Step-level retries for transient failures (timeouts, stuck "Loading", detached frames)
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 10000,
+  },
+};
+
+/**
+ * Load the sheet profile and layer the overrides over DEFAULTS. Every command
+ * imports this module, so a bad profile or override stops it here with one
+ * clear message rather than a stack trace.
+ */
+function loadConfig() {
+  try {
+    // Sheet profiles live in profiles/<name>.json and are validated on load.
+    // Columns are located by header text in `headerRow` at startup; a letter in
+    // `columns` (e.g. { "email": "F" }) overrides the header lookup for that field.
+    const profileKey = selectedProfileKey();
+    return { profileKey, activeSheet: loadProfile(profileKey), layered: resolveConfig(DEFAULTS) };
+  } catch (err) {
+    log('err', `Configuration error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const { profileKey, activeSheet, layered } = loadConfig();
+
+export const CONFIG = {
+  ...layered.config,
+
+  sheets: {
+    urlFragment: activeSheet.urlFragment,
+    spreadsheetId: activeSheet.urlFragment.split('/d/')[1],
+    gid: activeSheet.gid,
+    headerRow: activeSheet.headerRow,
+    headers: activeSheet.headers,
+    columns: { ...activeSheet.columns },
+    statusValue: activeSheet.statusValue,
+    pendingValue: activeSheet.pendingValue,
+    completedYes: activeSheet.completedYes,
+    completedNo: activeSheet.completedNo,
+    completedAmbiguous: activeSheet.completedAmbiguous,
+    profileName: activeSheet.name,
+    profileKey,
+  },
 };
+
+// Where each setting's value came from ('default', 'file <path>', 'env <NAME>' or 'flag <--flag>')
+export const CONFIG_SOURCES = layered.sources;
+export const CONFIG_FILE = layered.file;
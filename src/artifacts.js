@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
+
+// Only the tail of each log is kept per row; a full wizard run produces a lot of noise
+const CONSOLE_LIMIT = 200;
+const NETWORK_LIMIT = 100;
+
+function pushBounded(list, entry, limit) {
+  list.push(entry);
+  if (list.length > limit) list.shift();
+}
+
+export function rowArtifactsDir(runId, row) {
+  return path.join(ARTIFACTS_DIR, runId, `row-${row}`);
+}
+
+/**
+ * Record the Gusto tab's console output and network requests per row, and
+ * write them to artifacts/<runId>/row-<n>/ together with a screenshot and
+ * the serialized DOM when a row fails.
+ *
+ * With `trace: true` a Puppeteer (Chrome DevTools) trace is recorded for each
+ * row's whole workflow and kept in the same folder as trace.json.
+ */
+export function attachForensics(page, runId, { trace = false } = {}) {
+  let consoleLog = [];
+  let network = [];
+  const requests = new WeakMap();
+  let tracing = false;
+
+  const onConsole = (msg) => pushBounded(consoleLog, {
+    time: new Date().toISOString(),
+    type: msg.type(),
+    text: msg.text(),
+    url: msg.location()?.url ?? null,
+  }, CONSOLE_LIMIT);
+
+  const onPageError = (err) => pushBounded(consoleLog, {
+    time: new Date().toISOString(),
+    type: 'pageerror',
+    text: err.message,
+    url: null,
+  }, CONSOLE_LIMIT);
+
+  const onRequest = (req) => {
+    const entry = { time: new Date().toISOString(), method: req.method(), url: req.url(), type: req.resourceType(), status: null, failure: null };
+    requests.set(req, entry);
+    pushBounded(network, entry, NETWORK_LIMIT);
+  };
+
+  const onRequestFinished = (req) => {
+    const entry = requests.get(req);
+    if (entry) entry.status = req.response()?.status() ?? null;
+  };
+
+  const onRequestFailed = (req) => {
+    const entry = requests.get(req);
+    if (entry) entry.failure = req.failure()?.errorText ?? 'failed';
+  };
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('request', onRequest);
+  page.on('requestfinished', onRequestFinished);
+  page.on('requestfailed', onRequestFailed);
+
+  return {
+    /** Clear the logs and, with tracing on, start a trace for this row. */
+    async beginRow(row) {
+      consoleLog = [];
+      network = [];
+      if (!trace) return;
+
+      const dir = rowArtifactsDir(runId, row);
+      fs.mkdirSync(dir, { recursive: true });
+      try {
+        await page.tracing.start({ path: path.join(dir, 'trace.json'), screenshots: true });
+        tracing = true;
+      } catch (err) {
+        log('warn', `  Could not start trace for row ${row}: ${err.message}`);
+      }
+    },
+
+    /** Stop this row's trace, if one is running. */
+    async endRow(row) {
+      if (!tracing) return;
+      tracing = false;
+      try {
+        await page.tracing.stop();
+        log('data', `  Trace saved to ${path.join(rowArtifactsDir(runId, row), 'trace.json')}`);
+      } catch (err) {
+        log('warn', `  Could not save trace for row ${row}: ${err.message}`);
+      }
+    },
+
+    /**
+     * Save everything known about a failed row. Each file is best effort, so
+     * a dead page still leaves the logs behind. Returns { dir, files }.
+     */
+    async captureFailure(row, result) {
+      const dir = rowArtifactsDir(runId, row);
+      fs.mkdirSync(dir, { recursive: true });
+      const files = [];
+
+      const save = async (file, produce) => {
+        try {
+          await produce(path.join(dir, file));
+          files.push(file);
+        } catch (err) {
+          log('warn', `  Could not save ${file}: ${err.message}`);
+        }
+      };
+
+      await save('screenshot.png', (p) => page.screenshot({ path: p, fullPage: true }));
+      await save('page.html', async (p) => fs.writeFileSync(p, await page.content()));
+      await save('console.log', async (p) => fs.writeFileSync(p, consoleLog
+        .map((e) => `${e.time} [${e.type}] ${e.text}${e.url ? ` (${e.url})` : ''}`)
+        .join('\n') + '\n'));
+      await save('network.json', async (p) => fs.writeFileSync(p, JSON.stringify(network, null, 2)));
+      await save('failure.json', async (p) => fs.writeFileSync(p, JSON.stringify({
+        row,
+        name: result.name,
+        url: page.url(),
+        errors: result.errors,
+        stepsCompleted: result.stepsCompleted,
+        errorKind: result.errorKind ?? null,
+        validationErrors: result.validationErrors ?? [],
+        attempts: result.attempts ?? [],
+        capturedAt: new Date().toISOString(),
+      }, null, 2)));
+
+      log('data', `  Failure artifacts saved to ${dir}`);
+      return { dir, files };
+    },
+
+    detach() {
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      page.off('request', onRequest);
+      page.off('requestfinished', onRequestFinished);
+      page.off('requestfailed', onRequestFailed);
+    },
+  };
+}
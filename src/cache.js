@@ -1,43 +1,551 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { log } from './utils.js';
+import { CONFIG } from '../config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CACHE_DIR = path.join(__dirname, '..', '.cache');
-const CACHE_FILE = path.join(CACHE_DIR, 'rows.json');
+const SNAPSHOT_FILE = path.join(CACHE_DIR, 'rows.snapshot.json');
+const JOURNAL_FILE = path.join(CACHE_DIR, 'rows.journal');
+// Older history moved out of the snapshot; only ever appended to
+const ARCHIVE_FILE = path.join(CACHE_DIR, 'rows.history.jsonl');
+// The single-file cache used before the journal; imported once, then renamed
+const LEGACY_FILE = path.join(CACHE_DIR, 'rows.json');
+// Held while reading or changing the files, so `npm run cache` can run beside start/verify
+const LOCK_FILE = path.join(CACHE_DIR, 'rows.lock');
+const LOCK_WAIT_MS = 15000;
+// A lock this old, or held by a process that no longer exists, was left by a crash
+const LOCK_STALE_MS = 30000;
 
-let _cache = null;
+const SNAPSHOT_VERSION = 1;
+// Fold the journal into a fresh snapshot after this many entries
+const COMPACT_EVERY = 200;
+// Changes kept per row in the snapshot; older ones move to ARCHIVE_FILE when compacting
+const HISTORY_LIMIT = 50;
 
-export function loadCache(reset = false) {
-  if (reset) { _cache = {}; return _cache; }
-  if (_cache) return _cache;
+// ---------------------------------------------------------------------------
+// On-disk format
+//
+//   rows.snapshot.json  { version, seq, compactedAt, sum, namespaces }
+//                       namespaces: { [ns]: { [row]: { state, updatedAt, history: [{ at, data, replace? }] } } }
+//                       (history holds a row's last HISTORY_LIMIT changes)
+//   rows.journal        one JSON entry per line, appended and fsynced per change:
+//                       { seq, at, op: 'set', ns, row, data, replace?, sum } or
+//                       { seq, at, op: 'forget', ns, row, sum }
+//   rows.history.jsonl  the older changes, one { ns, row, at, ... } per line, appended
+//                       before the snapshot that no longer holds them replaces the old one
+//
+// A namespace is one sheet tab ("sheet:<spreadsheetId>#gid=<gid>") or one
+// local file. Each row's state carries a fingerprint of the name and email it
+// was cached for; `replace` entries start a row's state over because a
+// different person is now in that row.
+//
+// The snapshot is only ever replaced by writing a temp file and renaming it
+// over the old one. Journal entries with seq <= snapshot.seq are already in
+// the snapshot, so a crash between the rename and the journal truncation
+// replays nothing twice. A torn last journal line (killed mid-append) is
+// dropped; any other bad line or checksum means the cache is corrupt.
+//
+// Several processes may use the cache at once (a run, and `npm run cache
+// forget` beside it). Every load, append and compaction holds rows.lock and
+// first catches up with what the others wrote: new journal lines past the
+// offset this process has read, or a full reload if another process
+// compacted (the snapshot file changed) in the meantime.
+// ---------------------------------------------------------------------------
+
+let _cache = null;      // { seq, namespaces }
+let _pending = 0;       // journal entries since the last compaction
+let _disk = null;       // { snapshot: stamp of the snapshot file read, journalOffset: bytes of journal applied }
+let _lockDepth = 0;
+let _namespace = null;
+let _options = { recover: false };
+
+function checksum(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+function corruptionError(message) {
+  return new Error(`Row cache is corrupt: ${message}. Rerun with --recover-cache to keep the readable entries (the damaged files are copied to ${CACHE_DIR}/corrupt-*)`);
+}
+
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// ---------------------------------------------------------------------------
+// Locking
+// ---------------------------------------------------------------------------
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function lockIsStale() {
   try {
-    _cache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    const { pid, at } = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf-8'));
+    if (Date.now() - at > LOCK_STALE_MS) return true;
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    if (err.code === 'ESRCH') return true;
+    if (err.code === 'ENOENT') return false;
+    // Unreadable (or just created and not yet written): go by its age
+    try {
+      return Date.now() - fs.statSync(LOCK_FILE).mtimeMs > LOCK_STALE_MS;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/** Run `fn` holding rows.lock. Re-entrant within this process. */
+function withLock(fn) {
+  if (_lockDepth > 0) return fn();
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(LOCK_FILE, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+      fs.closeSync(fd);
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (lockIsStale()) {
+        log('warn', `Row cache: removing a stale lock left by a crashed process (${LOCK_FILE})`);
+        fs.rmSync(LOCK_FILE, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Row cache is locked by another process (${LOCK_FILE}); try again, or delete the file if no other run is active`);
+      sleepSync(20);
+    }
+  }
+
+  _lockDepth++;
+  try {
+    return fn();
+  } finally {
+    _lockDepth--;
+    fs.rmSync(LOCK_FILE, { force: true });
+  }
+}
+
+function snapshotStamp() {
+  try {
+    const { ino, mtimeMs, size } = fs.statSync(SNAPSHOT_FILE);
+    return `${ino}:${mtimeMs}:${size}`;
   } catch {
-    _cache = {};
+    return null;
+  }
+}
+
+/**
+ * Move all but the last HISTORY_LIMIT changes of every row to the archive.
+ * Call with the lock held, right before writing the snapshot. A crash in
+ * between archives the same lines again next time; readArchive skips repeats.
+ */
+function archiveOldHistory() {
+  const moved = [];
+  let text = '';
+  for (const [ns, rows] of Object.entries(_cache.namespaces)) {
+    for (const [row, record] of Object.entries(rows)) {
+      const excess = record.history.length - HISTORY_LIMIT;
+      if (excess <= 0) continue;
+      moved.push([record, excess]);
+      for (const change of record.history.slice(0, excess)) text += `${JSON.stringify({ ns, row, ...change })}\n`;
+    }
+  }
+  if (moved.length === 0) return;
+
+  const fd = fs.openSync(ARCHIVE_FILE, 'a+');
+  try {
+    // Start on a fresh line if the last append was torn
+    const { size } = fs.fstatSync(fd);
+    const last = Buffer.alloc(1);
+    if (size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a) text = `\n${text}`;
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  for (const [record, excess] of moved) record.history.splice(0, excess);
+}
+
+/** Archived changes of one namespace, oldest first: Map of row -> [{ at, data }]. Call with the lock held. */
+function readArchive(ns) {
+  const byRow = new Map();
+  if (!fs.existsSync(ARCHIVE_FILE)) return byRow;
+  const seen = new Set();
+  for (const line of fs.readFileSync(ARCHIVE_FILE, 'utf-8').split('\n')) {
+    if (!line || seen.has(line)) continue;
+    seen.add(line);
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // Torn by a crash mid-append; the snapshot still holds that change
+      continue;
+    }
+    if (entry.ns !== ns) continue;
+    const { ns: _ns, row, ...change } = entry;
+    if (!byRow.has(row)) byRow.set(row, []);
+    byRow.get(row).push(change);
+  }
+  return byRow;
+}
+
+function applyEntry(cache, entry) {
+  const rows = (cache.namespaces[entry.ns] ??= {});
+  const record = (rows[entry.row] ??= { state: {}, history: [] });
+  if (entry.op === 'forget') {
+    // Forgotten rows keep their history; a null state reads as "not cached"
+    record.state = null;
+    record.updatedAt = entry.at;
+    record.history.push({ at: entry.at, forgotten: true });
+    return;
+  }
+  record.state = entry.replace || !record.state ? { ...entry.data } : { ...record.state, ...entry.data };
+  record.updatedAt = entry.at;
+  record.history.push({ at: entry.at, data: entry.data, ...(entry.replace ? { replace: true } : {}) });
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+function readSnapshot(problems) {
+  if (!fs.existsSync(SNAPSHOT_FILE)) return { seq: 0, namespaces: {} };
+  try {
+    const snap = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf-8'));
+    if (snap.version !== SNAPSHOT_VERSION) throw new Error(`unknown version ${snap.version}`);
+    if (snap.sum !== checksum(snap.namespaces)) throw new Error('checksum mismatch');
+    return { seq: snap.seq, namespaces: snap.namespaces };
+  } catch (err) {
+    problems.push(`${path.basename(SNAPSHOT_FILE)}: ${err.message}`);
+    return { seq: 0, namespaces: {} };
+  }
+}
+
+/**
+ * Apply the journal from byte `offset` on. Returns how many entries were
+ * applied, whether a torn line follows them, and the offset just past the
+ * last complete line.
+ */
+function replayJournal(cache, problems, offset = 0) {
+  if (!fs.existsSync(JOURNAL_FILE)) return { replayed: 0, torn: false, offset: 0 };
+  const bytes = fs.readFileSync(JOURNAL_FILE).subarray(offset);
+  // Everything up to the last newline was fully written; what follows it is a torn append
+  const end = bytes.lastIndexOf(0x0a) + 1;
+  const lines = bytes.subarray(0, end).toString('utf-8').split('\n');
+  lines.pop();
+  const tail = bytes.subarray(end).toString('utf-8');
+  let replayed = 0;
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      problems.push(`${path.basename(JOURNAL_FILE)} line ${i + 1}: not valid JSON`);
+      return;
+    }
+    const { sum, ...body } = entry;
+    if (sum !== checksum(body)) {
+      problems.push(`${path.basename(JOURNAL_FILE)} line ${i + 1}: checksum mismatch`);
+      return;
+    }
+    if (entry.seq <= cache.seq) return;
+    applyEntry(cache, entry);
+    cache.seq = entry.seq;
+    replayed++;
+  });
+
+  const torn = tail.trim() !== '';
+  if (torn) log('warn', `Row cache: dropping an incomplete last journal entry (the previous run was interrupted mid-write)`);
+  return { replayed, torn, offset: offset + end };
+}
+
+function importLegacy(cache, problems) {
+  if (!fs.existsSync(LEGACY_FILE) || fs.existsSync(SNAPSHOT_FILE) || fs.existsSync(JOURNAL_FILE)) return false;
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf-8'));
+  } catch (err) {
+    problems.push(`${path.basename(LEGACY_FILE)}: ${err.message}`);
+    return false;
+  }
+  const at = fs.statSync(LEGACY_FILE).mtime.toISOString();
+  for (const [ns, rows] of Object.entries(legacy)) {
+    for (const [row, data] of Object.entries(rows)) applyEntry(cache, { op: 'set', at, ns, row, data });
   }
-  return _cache;
+  fs.renameSync(LEGACY_FILE, `${LEGACY_FILE}.imported`);
+  log('info', `Row cache: imported ${path.basename(LEGACY_FILE)} into the journaled cache`);
+  return true;
 }
 
-export function saveCache() {
+function quarantine() {
+  const dir = path.join(CACHE_DIR, `corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of [SNAPSHOT_FILE, JOURNAL_FILE, LEGACY_FILE]) {
+    if (fs.existsSync(file)) fs.copyFileSync(file, path.join(dir, path.basename(file)));
+  }
+  return dir;
+}
+
+/**
+ * Options for the next load. `recover: true` lets a corrupt cache load with
+ * whatever entries are still readable instead of refusing to run.
+ */
+export function configureCache(options) {
+  _options = { ..._options, ...options };
+}
+
+/** Read the snapshot and the whole journal. Call with the lock held. */
+function readFromDisk() {
+  const problems = [];
+  const snapshot = snapshotStamp();
+  const cache = readSnapshot(problems);
+  const imported = importLegacy(cache, problems);
+  const { replayed, torn, offset } = replayJournal(cache, problems);
+
+  if (problems.length > 0) {
+    if (!_options.recover) throw corruptionError(problems.join('; '));
+    const dir = quarantine();
+    log('warn', `Row cache: recovering from ${problems.length} problem(s): ${problems.join('; ')}`);
+    log('warn', `Row cache: damaged files copied to ${dir}`);
+  }
+
+  _cache = cache;
+  _pending = replayed;
+  _disk = { snapshot, journalOffset: offset };
+  if (imported || torn || problems.length > 0 || _pending >= COMPACT_EVERY) writeSnapshot();
+}
+
+/**
+ * Apply whatever other processes have written since this one last looked.
+ * Call with the lock held.
+ */
+function catchUp() {
+  if (!_cache) return readFromDisk();
+  // Another process compacted: the journal we were following is gone
+  if (snapshotStamp() !== _disk.snapshot) return readFromDisk();
+
+  const size = fs.existsSync(JOURNAL_FILE) ? fs.statSync(JOURNAL_FILE).size : 0;
+  if (size === _disk.journalOffset) return undefined;
+  if (size < _disk.journalOffset) return readFromDisk();
+
+  const problems = [];
+  const { replayed, torn, offset } = replayJournal(_cache, problems, _disk.journalOffset);
+  // Let a full load report (or recover from) anything odd
+  if (problems.length > 0 || torn) return readFromDisk();
+  _pending += replayed;
+  _disk.journalOffset = offset;
+  return undefined;
+}
+
+/**
+ * Load the snapshot and replay the journal on top of it, picking up changes
+ * other processes have made since the last call. Throws if either is
+ * corrupt, unless the cache was configured with `recover`.
+ */
+export function loadCache() {
+  withLock(catchUp);
+  return _cache.namespaces;
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+function append(change) {
+  withLock(() => {
+    // Take the next seq after everyone else's entries, not just ours
+    catchUp();
+    const body = { seq: _cache.seq + 1, at: new Date().toISOString(), ...change };
+    const line = `${JSON.stringify({ ...body, sum: checksum(body) })}\n`;
+
+    const fd = fs.openSync(JOURNAL_FILE, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    applyEntry(_cache, body);
+    _cache.seq = body.seq;
+    _disk.journalOffset += Buffer.byteLength(line);
+    if (++_pending >= COMPACT_EVERY) writeSnapshot();
+  });
+}
+
+/** Write the in-memory cache as the snapshot and empty the journal. Call with the lock held. */
+function writeSnapshot() {
+  archiveOldHistory();
+  const snap = {
+    version: SNAPSHOT_VERSION,
+    seq: _cache.seq,
+    compactedAt: new Date().toISOString(),
+    sum: checksum(_cache.namespaces),
+    namespaces: _cache.namespaces,
+  };
+  writeFileAtomic(SNAPSHOT_FILE, JSON.stringify(snap));
+  writeFileAtomic(JOURNAL_FILE, '');
+  _pending = 0;
+  _disk = { snapshot: snapshotStamp(), journalOffset: 0 };
+}
+
+/**
+ * Fold the journal, including entries other processes added, into a new
+ * snapshot (written atomically) and start an empty journal.
+ */
+export function compactCache() {
   if (!_cache) return;
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-  fs.writeFileSync(CACHE_FILE, JSON.stringify(_cache, null, 2));
+  withLock(() => {
+    catchUp();
+    writeSnapshot();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Rows
+// ---------------------------------------------------------------------------
+
+/**
+ * Scope cached rows to a data source (e.g. a sheet profile or a local file).
+ */
+export function setCacheNamespace(key) {
+  _namespace = key;
+}
+
+function namespaceKey() {
+  return _namespace ?? sheetCacheKey(CONFIG.sheets.spreadsheetId, CONFIG.sheets.gid);
+}
+
+/** Cache namespace for one tab of a spreadsheet. */
+export function sheetCacheKey(spreadsheetId, gid) {
+  return `sheet:${spreadsheetId}#gid=${gid}`;
+}
+
+/**
+ * Short hash of the row's name and email. A cached row whose fingerprint no
+ * longer matches is about someone else (rows were sorted or inserted).
+ */
+export function rowFingerprint(record) {
+  const norm = (v) => String(v ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return checksum([norm(record.fullName || record.businessName), norm(record.email)]);
+}
+
+function isExpired(entry) {
+  const { ttlHours } = CONFIG.cache;
+  return ttlHours != null && Date.now() - Date.parse(entry.updatedAt) > ttlHours * 3600 * 1000;
+}
+
+/**
+ * Current merged state of a row, or null if nothing is cached, the entry is
+ * older than CONFIG.cache.ttlHours, or `fingerprint` (from rowFingerprint)
+ * shows a different person is in the row now.
+ */
+export function getCachedRow(row, fingerprint = null) {
+  const namespaces = loadCache();
+  const entry = namespaces[namespaceKey()]?.[row];
+  if (!entry?.state) return null;
+
+  if (isExpired(entry)) {
+    log('info', `Row ${row}: cache entry from ${entry.updatedAt} has expired, revalidating`);
+    return null;
+  }
+  if (fingerprint && entry.state.fingerprint !== fingerprint) {
+    log('warn', `Row ${row}: name/email changed since it was cached${entry.state.name ? ` (was "${entry.state.name}")` : ''}, revalidating`);
+    return null;
+  }
+  return entry.state;
+}
+
+/**
+ * Every change made to each row of the current namespace, archived ones
+ * included, oldest first: Map of row number -> [{ at, data }].
+ */
+export function getRowHistories() {
+  return withLock(() => {
+    catchUp();
+    const ns = namespaceKey();
+    const histories = readArchive(ns);
+    for (const [row, record] of Object.entries(_cache.namespaces[ns] ?? {})) {
+      histories.set(row, [...(histories.get(row) ?? []), ...record.history]);
+    }
+    return new Map([...histories].map(([row, history]) => [Number(row), history]));
+  });
+}
+
+/** Every change made to a row, oldest first: [{ at, data }]. */
+export function getRowHistory(row) {
+  return getRowHistories().get(Number(row)) ?? [];
+}
+
+/**
+ * Merge `data` into a row's cached state. With a fingerprint that differs
+ * from the cached one, the old state is dropped instead (its history is kept).
+ */
+export function setCachedRow(row, data, fingerprint = null) {
+  const namespaces = loadCache();
+  const ns = namespaceKey();
+  if (!fingerprint) {
+    append({ op: 'set', ns, row: String(row), data });
+    return;
+  }
+  const current = namespaces[ns]?.[row]?.state ?? null;
+  const replace = current && current.fingerprint !== fingerprint;
+  append({ op: 'set', ns, row: String(row), data: { ...data, fingerprint }, ...(replace ? { replace: true } : {}) });
+}
+
+// ---------------------------------------------------------------------------
+// Maintenance (used by `npm run cache`)
+// ---------------------------------------------------------------------------
+
+/** Every namespace with the number of rows currently cached in it. */
+export function listCacheNamespaces() {
+  const namespaces = loadCache();
+  return Object.entries(namespaces).map(([ns, rows]) => ({
+    ns,
+    rows: Object.values(rows).filter((r) => r.state).length,
+  }));
 }
 
-function profileKey() {
-  return process.argv.includes('--sheet-b') ? 'b' : 'a';
+/**
+ * Cached rows of the current namespace, sorted by row:
+ * [{ row, state, updatedAt, changes }]. Forgotten rows are left out.
+ */
+export function listCachedRows() {
+  const rows = loadCache()[namespaceKey()] ?? {};
+  return Object.entries(rows)
+    .filter(([, r]) => r.state)
+    .map(([row, r]) => ({ row: Number(row), state: r.state, updatedAt: r.updatedAt, changes: r.history.length }))
+    .sort((a, b) => a.row - b.row);
 }
 
-export function getCachedRow(row) {
-  const cache = loadCache();
-  return cache[profileKey()]?.[row] ?? null;
+/** Drop the cached state of the given rows. Returns the rows that had one. */
+export function forgetCachedRows(rows) {
+  const cached = loadCache()[namespaceKey()] ?? {};
+  const forgotten = rows.filter((row) => cached[row]?.state);
+  for (const row of forgotten) append({ op: 'forget', ns: namespaceKey(), row: String(row) });
+  return forgotten;
 }
 
-export function setCachedRow(row, data) {
-  const cache = loadCache();
-  const pk = profileKey();
-  if (!cache[pk]) cache[pk] = {};
-  cache[pk][row] = { ...cache[pk][row], ...data };
-  saveCache();
+/** Replace a row's cached state outright, e.g. from `cache import`. */
+export function replaceCachedRow(row, state) {
+  loadCache();
+  append({ op: 'set', ns: namespaceKey(), row: String(row), data: state, replace: true });
 }
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import {
+  configureCache, setCacheNamespace, getRowHistory, getRowHistories, listCachedRows, listCacheNamespaces,
+  forgetCachedRows, replaceCachedRow,
+} from './cache.js';
+import { sourceCacheKey } from './sources/index.js';
+import { parseCSV, toCSV } from './csv.js';
+import { log } from './utils.js';
+import { CLI_FLAGS } from './configLayers.js';
+
+// State fields in the order they are exported; anything else follows alphabetically
+const KNOWN_FIELDS = ['name', 'fingerprint', 'sent', 'pending', 'pendingRunId', 'alreadyExists', 'empty', 'completed', 'completedRaw'];
+
+// ---------------------------------------------------------------------------
+// CLI argument parsing
+// ---------------------------------------------------------------------------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null, params: [], csv: false, out: null, source: 'sheets', recoverCache: false, anySource: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--csv':
+        opts.csv = true; break;
+      case '--out': case '-o':
+        opts.out = args[++i]; break;
+      case '--source':
+        opts.source = args[++i]; break;
+      case '--recover-cache':
+        opts.recoverCache = true; break;
+      case '--any-source':
+        opts.anySource = true; break;
+      case '--profile': case '--config': case '--set':
+        i++; break; // read by config.js
+      case '--sheet-b':
+        break;
+      case '--help': case '-h':
+        printUsage(); process.exit(0);
+        break;
+      default:
+        if (CLI_FLAGS[args[i]]) i++; // config override, read by config.js
+        else if (!opts.command) opts.command = args[i];
+        else opts.params.push(args[i]);
+    }
+  }
+
+  if (!['list', 'show', 'forget', 'export', 'import'].includes(opts.command)) {
+    printUsage();
+    process.exit(1);
+  }
+  return opts;
+}
+
+function printUsage() {
+  console.log(`
+Gusto Row Cache
+===============
+
+Usage:
+  node src/cacheCli.js <command> [options]
+
+Commands:
+  list                  Print every cached row of the sheet (or file) with its state
+  show <row>            Print one row's state and every change made to it
+  forget <rows>         Drop cached rows so the next run checks them again;
+                        <rows> is a row, a range or a list: 7, 7-12, 3,7,9-12, all
+  export                Write the cached rows as JSON (or CSV with --csv)
+  import <file>         Replace cached rows from a .json or .csv made by export
+
+Options:
+  --profile <name>      Sheet profile from profiles/<name>.json (default: a)
+  --sheet-b             Same as --profile b
+  --source <spec>       Cache of another source: "sheets" (default), "sheets-api"
+                        or "file:<path.csv|xlsx>"
+  --csv                 Export as CSV instead of JSON
+  --out, -o <file>      Write the export to a file instead of stdout
+  --recover-cache       Load a corrupt cache anyway, keeping the readable entries
+  --any-source          Import a JSON export made for another sheet or file
+  --help, -h            Show this help
+
+Examples:
+  npm run cache -- list
+  npm run cache -- list --profile cohort-3
+  npm run cache -- show 14
+  npm run cache -- forget 14-20
+  npm run cache -- export --csv -o cache.csv
+  npm run cache -- import cache.csv
+`);
+}
+
+/** "7", "7-12", "3,7,9-12" -> [3, 7, 9, 10, 11, 12]; "all" -> every cached row. */
+function parseRows(spec) {
+  if (!spec) throw new Error('forget needs a row, a range (e.g. 7-12) or "all"');
+  if (spec === 'all') return listCachedRows().map((r) => r.row);
+
+  const rows = new Set();
+  for (const part of spec.split(',')) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) throw new Error(`Invalid row or range "${part}" (expected e.g. 7 or 7-12)`);
+    const [from, to] = [Number(m[1]), Number(m[2] ?? m[1])];
+    if (to < from) throw new Error(`Invalid range "${part}": ${to} is before ${from}`);
+    for (let row = from; row <= to; row++) rows.add(row);
+  }
+  return [...rows];
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+function summarize(state) {
+  const flags = [];
+  if (state.sent === true) flags.push('sent');
+  if (state.sent === false) flags.push(state.empty ? 'empty' : 'not sent');
+  if (state.pending) flags.push(`pending${state.pendingRunId ? ` (${state.pendingRunId})` : ''}`);
+  if (state.alreadyExists) flags.push('already in Gusto');
+  if (state.completedRaw) flags.push(`completed=${state.completedRaw}`);
+  return flags.join(', ') || '-';
+}
+
+function runList(namespace) {
+  const rows = listCachedRows();
+  console.log(`\n${namespace}: ${rows.length} cached row(s)\n`);
+  if (rows.length > 0) {
+    console.log(`  ${'Row'.padEnd(6)}${'Name'.padEnd(32)}${'State'.padEnd(40)}Updated`);
+    for (const { row, state, updatedAt } of rows) {
+      console.log(`  ${String(row).padEnd(6)}${(state.name ?? '').slice(0, 30).padEnd(32)}${summarize(state).slice(0, 38).padEnd(40)}${updatedAt}`);
+    }
+  }
+
+  const others = listCacheNamespaces().filter((n) => n.ns !== namespace && n.rows > 0);
+  if (others.length > 0) {
+    console.log('\nOther cached sources (select with --profile or --source):');
+    for (const { ns, rows: count } of others) console.log(`  ${ns}: ${count} row(s)`);
+  }
+}
+
+function runShow(rowSpec) {
+  const row = Number(rowSpec);
+  if (!Number.isInteger(row) || row < 1) throw new Error('show needs a row number, e.g. "show 14"');
+
+  const current = listCachedRows().find((r) => r.row === row);
+  const history = getRowHistory(row);
+  if (!current && history.length === 0) {
+    log('info', `Row ${row} is not cached`);
+    return;
+  }
+
+  console.log(`\nRow ${row}: ${current ? summarize(current.state) : 'forgotten'}`);
+  if (current) console.log(JSON.stringify(current.state, null, 2));
+  console.log(`\nHistory (${history.length} change(s)):`);
+  for (const h of history) {
+    const what = h.forgotten ? 'forgotten' : `${h.replace ? 'replaced with ' : ''}${JSON.stringify(h.data)}`;
+    console.log(`  ${h.at}  ${what}`);
+  }
+}
+
+function runForget(rowSpec) {
+  const rows = parseRows(rowSpec);
+  const forgotten = forgetCachedRows(rows);
+  log('ok', `Forgot ${forgotten.length} cached row(s)${forgotten.length ? `: ${forgotten.join(', ')}` : ''}`);
+  const missing = rows.length - forgotten.length;
+  if (missing > 0 && rowSpec !== 'all') log('info', `${missing} row(s) in ${rowSpec} were not cached`);
+}
+
+function exportFields(rows) {
+  const extra = new Set(rows.flatMap((r) => Object.keys(r.state)).filter((k) => !KNOWN_FIELDS.includes(k)));
+  return [...KNOWN_FIELDS, ...[...extra].sort()];
+}
+
+function runExport(namespace, { csv, out }) {
+  const rows = listCachedRows();
+  let text;
+  if (csv) {
+    const fields = exportFields(rows);
+    text = toCSV([
+      ['row', 'updatedAt', 'namespace', ...fields],
+      ...rows.map((r) => [r.row, r.updatedAt, namespace, ...fields.map((f) => r.state[f] ?? '')]),
+    ]);
+  } else {
+    const histories = getRowHistories();
+    text = `${JSON.stringify({
+      namespace,
+      exportedAt: new Date().toISOString(),
+      rows: rows.map((r) => ({ row: r.row, updatedAt: r.updatedAt, state: r.state, history: histories.get(r.row) ?? [] })),
+    }, null, 2)}\n`;
+  }
+
+  if (!out) {
+    process.stdout.write(text);
+    return;
+  }
+  fs.writeFileSync(out, text);
+  log('ok', `Exported ${rows.length} row(s) to ${out}`);
+}
+
+/** CSV cells are strings; turn the ones export wrote from booleans back into booleans. */
+function fromCell(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+/**
+ * Rows from a .json or .csv export. An export names the sheet or file it came
+ * from; it is refused for any other one unless `anySource` is set, so a
+ * Sheet A export can't silently overwrite Sheet B's rows.
+ */
+function readImport(file, namespace, anySource) {
+  const checkNamespace = (from) => {
+    if (!from || from === namespace || anySource) return;
+    throw new Error(`${file} was exported from ${from}, not ${namespace}. Pick the matching --profile or --source, or add --any-source to import it here anyway`);
+  };
+
+  const text = fs.readFileSync(file, 'utf-8');
+  if (path.extname(file).toLowerCase() !== '.csv') {
+    const data = JSON.parse(text);
+    checkNamespace(data.namespace);
+    return (data.rows ?? []).map((r) => ({ row: Number(r.row), state: r.state ?? {} }));
+  }
+
+  const [header = [], ...lines] = parseCSV(text);
+  const rowCol = header.indexOf('row');
+  if (rowCol === -1) throw new Error(`${file}: no "row" column in the header`);
+  const nsCol = header.indexOf('namespace');
+  const filled = lines.filter((cells) => cells.some((c) => c !== ''));
+  if (nsCol !== -1) new Set(filled.map((cells) => cells[nsCol])).forEach(checkNamespace);
+
+  return filled
+    .map((cells) => {
+      const state = {};
+      header.forEach((field, i) => {
+        if (i === rowCol || i === nsCol || field === 'updatedAt' || !field || cells[i] === undefined || cells[i] === '') return;
+        state[field] = fromCell(cells[i]);
+      });
+      return { row: Number(cells[rowCol]), state };
+    });
+}
+
+function runImport(file, namespace, { anySource }) {
+  if (!file) throw new Error('import needs a file, e.g. "import cache.csv"');
+  const entries = readImport(file, namespace, anySource);
+  const bad = entries.filter((e) => !Number.isInteger(e.row) || e.row < 1);
+  if (bad.length > 0) throw new Error(`${file}: ${bad.length} entr${bad.length === 1 ? 'y has' : 'ies have'} no valid row number`);
+
+  for (const { row, state } of entries) replaceCachedRow(row, state);
+  log('ok', `Imported ${entries.length} row(s) from ${file}`);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main() {
+  const opts = parseArgs();
+  configureCache({ recover: opts.recoverCache });
+  const namespace = sourceCacheKey(opts.source);
+  setCacheNamespace(namespace);
+
+  switch (opts.command) {
+    case 'list': return runList(namespace);
+    case 'show': return runShow(opts.params[0]);
+    case 'forget': return runForget(opts.params[0]);
+    case 'export': return runExport(namespace, opts);
+    case 'import': return runImport(opts.params[0], namespace, opts);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  log('err', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,72 @@
+import { CONFIG } from '../config.js';
+import { log, indexToColumn } from './utils.js';
+
+// Logical columns every run needs. Anything else in a profile's `headers` is optional.
+const REQUIRED_COLUMNS = ['fullName', 'email', 'status', 'gustoCompleted'];
+
+function normalizeHeader(text) {
+  return String(text ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Resolve the active profile's header names to column letters using the
+ * sheet's header row. Returns a new field -> letter map; CONFIG.sheets.columns
+ * is left alone, so it only ever holds the profile's explicit overrides and
+ * the lookup can be repeated. Overridden fields skip the lookup.
+ *
+ * Throws if a required header is missing, or if any header matches more than
+ * one column.
+ */
+export function resolveColumns(headerCells) {
+  const { headers } = CONFIG.sheets;
+  const columns = { ...CONFIG.sheets.columns };
+  const problems = [];
+
+  const positions = new Map();
+  headerCells.forEach((cell, i) => {
+    const key = normalizeHeader(cell);
+    if (!key) return;
+    if (!positions.has(key)) positions.set(key, []);
+    positions.get(key).push(indexToColumn(i));
+  });
+
+  for (const [field, header] of Object.entries(headers)) {
+    if (columns[field]) {
+      log('info', `Column ${field}: using override ${columns[field]} (header "${header}" not checked)`);
+      continue;
+    }
+
+    const matches = positions.get(normalizeHeader(header)) ?? [];
+    if (matches.length === 1) {
+      columns[field] = matches[0];
+      log('data', `Column ${field}: "${header}" -> ${matches[0]}`);
+    } else if (matches.length > 1) {
+      problems.push(`header "${header}" (${field}) is ambiguous: found in columns ${matches.join(', ')}`);
+    } else if (REQUIRED_COLUMNS.includes(field)) {
+      problems.push(`header "${header}" (${field}) not found`);
+    } else {
+      log('info', `Column ${field}: optional header "${header}" not found, ignoring`);
+    }
+  }
+
+  for (const field of REQUIRED_COLUMNS) {
+    if (!columns[field] && !headers[field]) problems.push(`no header or column letter configured for ${field}`);
+  }
+
+  const byLetter = new Map();
+  for (const [field, col] of Object.entries(columns)) {
+    if (byLetter.has(col)) problems.push(`${byLetter.get(col)} and ${field} both map to column ${col}`);
+    byLetter.set(col, field);
+  }
+
+  if (problems.length > 0) {
+    const found = headerCells.map((c, i) => `${indexToColumn(i)}="${c}"`).filter((s) => !s.endsWith('=""'));
+    throw new Error(
+      `Column mapping failed for ${CONFIG.sheets.profileName} (header row ${CONFIG.sheets.headerRow}):\n  - `
+      + problems.join('\n  - ')
+      + `\n  Headers found: ${found.join(', ') || '(none)'}`,
+    );
+  }
+
+  return columns;
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { CONFIG, CONFIG_SOURCES, CONFIG_FILE } from '../config.js';
+import { CLI_FLAGS, SECRET_SETTINGS, UNUSED_SETTINGS, envName } from './configLayers.js';
+
+// ---------------------------------------------------------------------------
+// CLI argument parsing
+// ---------------------------------------------------------------------------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case 'show':
+        opts.command = args[i]; break;
+      case '--json':
+        opts.json = true; break;
+      case '--help': case '-h':
+        printUsage(); process.exit(0);
+    }
+  }
+
+  if (!opts.command) {
+    printUsage();
+    process.exit(1);
+  }
+  return opts;
+}
+
+function printUsage() {
+  console.log(`
+Gusto Automator Configuration
+=============================
+
+Usage:
+  node src/configCli.js show [--json] [overrides]
+
+Commands:
+  show                  Print every setting's effective value and where it came from
+
+Each setting is resolved in this order, later layers winning:
+  1. defaults in config.js
+  2. the user config file: --config <file>, $GUSTOAUTO_CONFIG, or
+     ~/.config/gustoauto/config.json if it exists
+  3. environment variables, e.g. ${envName('delays.batchSize')}=5
+  4. command line flags: ${Object.keys(CLI_FLAGS).join(', ')},
+     or --set <setting>=<value> for any other setting
+
+Options:
+  --json                Print { setting: { value, source } } as JSON
+  --profile <name>      Show the sheet settings of another profile
+  --help, -h            Show this help
+
+Examples:
+  npm run config -- show
+  npm run config -- show --start-date 2026-03-01 --batch-size 5
+`);
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+const valueAt = (setting) => setting.split('.').reduce((obj, key) => obj?.[key], CONFIG);
+// Only says whether a credential is set, never what it is
+const shown = (setting) => (SECRET_SETTINGS.has(setting) && valueAt(setting) ? '(set, hidden)' : valueAt(setting));
+
+function format(value) {
+  if (value && typeof value === 'object' && 'month' in value) return `${value.year}-${value.month}-${value.day}`;
+  return JSON.stringify(value);
+}
+
+function runShow({ json }) {
+  const profileSource = `profile ${CONFIG.sheets.profileKey}`;
+  const rows = [
+    ...Object.entries(CONFIG_SOURCES).map(([setting, source]) => [setting, shown(setting), UNUSED_SETTINGS.has(setting) ? `${source} (unused)` : source]),
+    ...Object.entries(CONFIG.sheets)
+      .filter(([key]) => key !== 'headers' && key !== 'columns')
+      .map(([key, value]) => [`sheets.${key}`, value, profileSource]),
+  ];
+
+  if (json) {
+    console.log(JSON.stringify(Object.fromEntries(rows.map(([s, value, source]) => [s, { value, source }])), null, 2));
+    return;
+  }
+
+  console.log(`\nConfig file: ${CONFIG_FILE}${fs.existsSync(CONFIG_FILE) ? '' : ' (not found, skipped)'}\n`);
+  const width = Math.max(...rows.map(([s]) => s.length)) + 2;
+  const valueWidth = Math.min(Math.max(...rows.map(([, v]) => format(v).length)) + 2, 50);
+  for (const [setting, value, source] of rows) {
+    console.log(`  ${setting.padEnd(width)}${format(value).padEnd(valueWidth)} ${source}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const opts = parseArgs();
+if (opts.command === 'show') runShow(opts);
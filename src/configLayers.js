@@ -0,0 +1,198 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeDate, normalizeWageType, normalizeAmount } from './values.js';
+
+// Settings whose value is a { month, day, year } date, given in any format a Start Date cell accepts
+const DATE_SETTINGS = new Set(['gusto.contractStartDate']);
+// Number settings that may also be null
+const NULLABLE_SETTINGS = new Set(['cache.ttlHours']);
+
+const wageTypeOf = (allowed) => (value) => (allowed.includes(normalizeWageType(value)) ? normalizeWageType(value) : null);
+// Settings with the same rules as their sheet column: [normalise (null if invalid), expected]
+const CHECKED_SETTINGS = {
+  'gusto.wageType': [wageTypeOf(['Fixed', 'Hourly']), 'Fixed or Hourly'],
+  'gusto.payAmount': [normalizeAmount, 'a positive amount like 1250 or 45.50'],
+  'gusto.employee.wageType': [wageTypeOf(['Hourly', 'Salary']), 'Hourly or Salary'],
+  'gusto.employee.payAmount': [normalizeAmount, 'a positive amount like 65000 or 45.50'],
+};
+
+const ENV_PREFIX = 'GUSTOAUTO_';
+// Read by configFilePath, not a setting
+const ENV_CONFIG_FILE = `${ENV_PREFIX}CONFIG`;
+// The usual Google variable names, read as well as the GUSTOAUTO_* name (which wins)
+const ENV_ALIASES = {
+  'sheetsApi.baseUrl': 'SHEETS_API_BASE_URL',
+  'sheetsApi.tokenUrl': 'SHEETS_API_TOKEN_URL',
+  'sheetsApi.token': 'GOOGLE_SHEETS_TOKEN',
+  'sheetsApi.keyFile': 'GOOGLE_APPLICATION_CREDENTIALS',
+};
+
+/** Credentials: only taken from the environment, and masked by `config show`. */
+export const SECRET_SETTINGS = new Set(['sheetsApi.token']);
+
+/** Still accepted so existing config files load, but nothing reads them; `config show` says so. */
+export const UNUSED_SETTINGS = new Set(['delays.actionMin', 'delays.actionMax', 'delays.typeMin', 'delays.typeMax', 'delays.pageTransition']);
+
+/**
+ * Shorthand flags for settings changed often; any other setting can be set
+ * with --set <path>=<value>, e.g. --set matching.threshold=0.9.
+ */
+export const CLI_FLAGS = {
+  '--cdp-url': 'cdpUrl',
+  '--start-date': 'gusto.contractStartDate',
+  '--wage-type': 'gusto.wageType',
+  '--pay-amount': 'gusto.payAmount',
+  '--batch-size': 'delays.batchSize',
+  '--batch-pause': 'delays.batchPause',
+  '--between-contractors': 'delays.betweenContractors',
+  '--max-attempts': 'retry.maxAttempts',
+};
+
+// ---------------------------------------------------------------------------
+// Settings and their types, taken from the defaults
+// ---------------------------------------------------------------------------
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Every setting in `defaults` as [path, defaultValue], e.g. ['delays.batchSize', 10]. */
+function listSettings(defaults, prefix = '') {
+  return Object.entries(defaults).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && !DATE_SETTINGS.has(name) ? listSettings(value, name) : [[name, value]];
+  });
+}
+
+/** "delays.batchSize" -> "GUSTOAUTO_DELAYS__BATCH_SIZE" */
+export function envName(setting) {
+  return ENV_PREFIX + setting.split('.').map((part) => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('__');
+}
+
+/**
+ * Convert a value from a file, env var or flag to the type of the setting's
+ * default. Throws a message naming the setting and where the value came from.
+ */
+function coerce(setting, fallback, value, source) {
+  const fail = (expected) => { throw new Error(`Invalid ${setting} from ${source}: ${JSON.stringify(value)} (expected ${expected})`); };
+  const isNull = value === null || value === 'null' || value === '';
+
+  if (DATE_SETTINGS.has(setting)) {
+    const text = isPlainObject(value) ? `${value.year}-${value.month}-${value.day}` : value;
+    return normalizeDate(text) ?? fail('a date like 2026-03-01 or 03/01/2026');
+  }
+  if (isNull && (fallback === null || NULLABLE_SETTINGS.has(setting))) return null;
+  if (CHECKED_SETTINGS[setting]) {
+    const [normalize, expected] = CHECKED_SETTINGS[setting];
+    return (typeof value === 'string' || typeof value === 'number') ? (normalize(value) ?? fail(expected)) : fail(expected);
+  }
+
+  switch (typeof fallback) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).trim());
+      return (String(value).trim() !== '' && Number.isFinite(n) && n >= 0) ? n : fail('a number');
+    }
+    case 'boolean':
+      if (value === true || value === 'true' || value === '1') return true;
+      if (value === false || value === 'false' || value === '0') return false;
+      return fail('true or false');
+    default:
+      return (typeof value === 'string' || typeof value === 'number') ? String(value) : fail('text');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Layers
+// ---------------------------------------------------------------------------
+
+/**
+ * The user config file: --config <path>, then $GUSTOAUTO_CONFIG, then
+ * ~/.config/gustoauto/config.json (or under $XDG_CONFIG_HOME) if it exists.
+ * Returns { file, explicit } or null.
+ */
+export function configFilePath(argv = process.argv, env = process.env) {
+  const i = argv.indexOf('--config');
+  if (i !== -1 && argv[i + 1]) return { file: path.resolve(argv[i + 1]), explicit: true };
+  if (env[ENV_CONFIG_FILE]) return { file: path.resolve(env[ENV_CONFIG_FILE]), explicit: true };
+  const file = path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'gustoauto', 'config.json');
+  return { file, explicit: false };
+}
+
+function readConfigFile(location) {
+  if (!location) return [];
+  const { file, explicit } = location;
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Config file ${file} does not exist`);
+    return [];
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (!isPlainObject(data)) throw new Error(`Config file ${file} must contain a JSON object`);
+
+  // Flatten to [setting, value]; a date may be written as a string or as { month, day, year }
+  const flatten = (obj, prefix) => Object.entries(obj).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && !DATE_SETTINGS.has(name) ? flatten(value, name) : [[name, value]];
+  });
+  return flatten(data, '').map(([setting, value]) => ({ setting, value, source: `file ${file}` }));
+}
+
+function readEnv(env, known) {
+  const byName = new Map([...known].map((setting) => [envName(setting), setting]));
+  const found = Object.entries(ENV_ALIASES)
+    .filter(([, name]) => env[name])
+    .map(([setting, name]) => ({ setting, value: env[name], source: `env ${name}` }));
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === ENV_CONFIG_FILE) continue;
+    const setting = byName.get(name);
+    if (!setting) throw new Error(`Unknown environment variable ${name} (settings are named like ${envName('delays.batchSize')})`);
+    found.push({ setting, value, source: `env ${name}` });
+  }
+  return found;
+}
+
+function readFlags(argv) {
+  const found = [];
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (CLI_FLAGS[flag]) {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      found.push({ setting: CLI_FLAGS[flag], value: argv[++i], source: `flag ${flag}` });
+    } else if (flag === '--set') {
+      const [setting, ...rest] = String(argv[++i] ?? '').split('=');
+      if (!setting || rest.length === 0) throw new Error('--set needs <setting>=<value>, e.g. --set matching.threshold=0.9');
+      found.push({ setting, value: rest.join('='), source: 'flag --set' });
+    }
+  }
+  return found;
+}
+
+/**
+ * Merge the layers over `defaults`, later layers winning:
+ *   defaults -> user config file -> ENV_ALIASES -> GUSTOAUTO_* env vars -> CLI flags
+ * Returns { config, sources, file }, where sources maps every setting to where
+ * its value came from. Throws on an unknown setting or a value of the wrong type.
+ */
+export function resolveConfig(defaults, { argv = process.argv, env = process.env } = {}) {
+  const config = structuredClone(defaults);
+  const settings = new Map(listSettings(defaults));
+  const sources = Object.fromEntries([...settings.keys()].map((s) => [s, 'default']));
+
+  const location = configFilePath(argv, env);
+  const layers = [...readConfigFile(location), ...readEnv(env, settings.keys()), ...readFlags(argv)];
+
+  for (const { setting, value, source } of layers) {
+    if (!settings.has(setting)) throw new Error(`Unknown setting "${setting}" from ${source}`);
+    if (SECRET_SETTINGS.has(setting) && !source.startsWith('env ')) {
+      throw new Error(`${setting} from ${source} refused: set it in the environment (${ENV_ALIASES[setting] ?? envName(setting)})`);
+    }
+    const parts = setting.split('.');
+    const parent = parts.slice(0, -1).reduce((obj, key) => obj[key], config);
+    parent[parts.at(-1)] = coerce(setting, settings.get(setting), value, source);
+    sources[setting] = source;
+  }
+  return { config, sources, file: location?.file ?? null };
+}
@@ -1,15 +1,15 @@
 import { CONFIG } from '../config.js';
 import { log, shortDelay, sleep, waitForStableDOM } from './utils.js';
-
-const DATE = CONFIG.gusto.contractStartDate;
-const GUSTO_BASE = 'https://app.gusto.com';
-const ADD_PERSON_URL = `${GUSTO_BASE}/people/add_team_member/basics`;
+import { findPersonInGusto } from './gustoVerify.js';
+import { describeCandidates } from './match.js';
+import { ADD_PERSON_URL, anyOf, find, resolve } from './selectors.js';
+import { withRetry, fatalError, transientError, tagError, ErrorKind } from './retry.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
-async function typeInto(page, selector, text) {
+export async function typeInto(page, selector, text) {
   await page.click(selector, { clickCount: 3 });
   await page.keyboard.press('Backspace');
   await shortDelay(15, 30);
@@ -30,26 +30,118 @@ async function clickSubmitButton(page) {
     }
   }
   // Fallback to submit button
-  const submitSel = 'button[type="submit"]';
-  const exists = await page.$(submitSel);
-  if (exists) {
-    await page.click(submitSel);
+  const submit = await resolve(page, 'submitButton', { visible: true });
+  if (submit) {
+    await page.click(submit.selector);
     await shortDelay(80, 100);
     return;
   }
-  throw new Error('Save and continue button not found');
+  throw transientError('Save and continue button not found');
+}
+
+/**
+ * Read the inline error messages Gusto shows when it rejects a form.
+ * Returns [{ field, message }]; field is the input's name (or label) for
+ * field-level errors and null for form-level banners.
+ */
+export async function readValidationErrors(page) {
+  return page.evaluate((fieldErrorSel, formErrorSel) => {
+    const visible = (el) => el.offsetParent !== null;
+    const text = (el) => el.textContent.replace(/\s+/g, ' ').trim();
+    const fieldName = (input) => input.name || input.getAttribute('aria-label') || input.id || null;
+    const used = new Set();
+    const errors = [];
+
+    // Invalid inputs, with the message they point at (or the nearest error element)
+    for (const input of document.querySelectorAll('[aria-invalid="true"]')) {
+      if (!visible(input)) continue;
+      const ids = `${input.getAttribute('aria-describedby') ?? ''} ${input.getAttribute('aria-errormessage') ?? ''}`.split(/\s+/).filter(Boolean);
+      let messages = ids.map((id) => document.getElementById(id)).filter((el) => el && visible(el) && text(el));
+      if (messages.length === 0) {
+        const container = input.closest('fieldset, label, [class*="field" i]') ?? input.parentElement;
+        messages = [...(container?.querySelectorAll(fieldErrorSel) ?? [])].filter((el) => visible(el) && text(el));
+      }
+      messages.forEach((el) => used.add(el));
+      errors.push({ field: fieldName(input), message: messages.map(text).join(' ') || 'Invalid value' });
+    }
+
+    // Error text not tied to an aria-invalid input
+    for (const el of document.querySelectorAll(fieldErrorSel)) {
+      if (used.has(el) || !visible(el) || !text(el)) continue;
+      used.add(el);
+      const input = el.parentElement?.querySelector('input, select, textarea');
+      errors.push({ field: input ? fieldName(input) : null, message: text(el) });
+    }
+
+    // Form-level banners, skipping ones that just wrap a message already taken
+    for (const el of document.querySelectorAll(formErrorSel)) {
+      if (used.has(el) || !visible(el) || !text(el)) continue;
+      if ([...used].some((u) => el.contains(u))) continue;
+      used.add(el);
+      errors.push({ field: null, message: text(el) });
+    }
+
+    const seen = new Set();
+    return errors.filter((e) => {
+      const key = `${e.field}|${e.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }, anyOf('fieldError'), anyOf('formError'));
 }
 
-async function submitAndWaitForNav(page) {
+/**
+ * Error for a form Gusto rejected. `validation` holds [{ field, message, step }];
+ * the step is filled in by the wizard runner, which knows which page it was on.
+ */
+export function validationError(errors, step = null) {
+  const validation = errors.map((e) => ({ ...e, step }));
+  const summary = validation.map((e) => (e.field ? `${e.field}: ${e.message}` : e.message)).join('; ');
+  const error = tagError(new Error(`Gusto rejected the form: ${summary}`), ErrorKind.FATAL);
+  error.validation = validation;
+  return error;
+}
+
+/**
+ * Submit the current form and wait for the next page. Stops waiting as soon
+ * as Gusto shows validation errors instead of navigating, and throws them as
+ * a validationError rather than letting the next step time out.
+ */
+export async function submitAndWaitForNav(page) {
+  const before = page.url();
+
+  // Banners already on the page (e.g. a standing notice with role="alert") are not rejections
+  const standing = new Set((await readValidationErrors(page)).map((e) => e.message));
+
+  const navigated = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
+  const errorsShown = page.waitForFunction(
+    (sel, known) => [...document.querySelectorAll(sel)].some((el) => {
+      const t = el.textContent.replace(/\s+/g, ' ').trim();
+      return el.offsetParent !== null && (el.getAttribute('aria-invalid') === 'true' || (t && !known.includes(t)));
+    }),
+    { timeout: 20000, polling: 250 },
+    [anyOf('fieldError'), anyOf('formError'), '[aria-invalid="true"]'].join(', '),
+    [...standing],
+  ).catch(() => navigated);
+
   await Promise.all([
-    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {}),
+    Promise.race([navigated, errorsShown]),
     clickSubmitButton(page),
   ]);
   await waitForStableDOM(page, 300, 8000);
+
+  if (page.url() === before) {
+    const errors = (await readValidationErrors(page)).filter((e) => e.field || !standing.has(e.message));
+    if (errors.length > 0) {
+      errors.forEach((e) => log('err', `  Gusto says${e.field ? ` (${e.field})` : ''}: ${e.message}`));
+      throw validationError(errors);
+    }
+  }
   log('data', `  Navigated to: ${page.url()}`);
 }
 
-async function clickButtonByText(page, text) {
+export async function clickButtonByText(page, text) {
   log('step', `  Clicking button: "${text}"`);
   const lower = text.toLowerCase();
   const btns = await page.$$('button, a[role="button"], a');
@@ -62,7 +154,7 @@ async function clickButtonByText(page, text) {
       return;
     }
   }
-  throw new Error(`Button "${text}" not found`);
+  throw transientError(`Button "${text}" not found`);
 }
 
 async function waitForPageText(page, text, timeout = 20000) {
@@ -71,7 +163,7 @@ async function waitForPageText(page, text, timeout = 20000) {
   await shortDelay(30, 60);
 }
 
-async function waitForPageReady(page, timeout = 20000) {
+export async function waitForPageReady(page, timeout = 20000) {
   // Wait until "Loading" text disappears and a submit/continue button appears
   await page.waitForFunction(() => {
     const text = document.body?.innerText || '';
@@ -86,6 +178,14 @@ async function waitForPageReady(page, timeout = 20000) {
   await shortDelay(50, 80);
 }
 
+/**
+ * Pull a Gusto person ID (UUID or long numeric ID) out of a URL, if there is one.
+ */
+function extractPersonId(url) {
+  const m = url.match(/\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d{5,})(?=[/?#]|$)/i);
+  return m?.[1] ?? null;
+}
+
 /**
  * Dump current page state for debugging on failure.
  */
@@ -110,7 +210,7 @@ async function dumpPageState(page) {
 export async function navigateToAddPerson(page) {
   log('step', 'Step 1: Navigating to Add Person');
   await page.goto(ADD_PERSON_URL, { waitUntil: 'networkidle2', timeout: 20000 });
-  await page.waitForSelector('input[name="firstName"]', { timeout: 10000, visible: true });
+  await find(page, 'firstNameInput', { timeout: 10000 });
   log('ok', '  On Add Person basics form');
 }
 
@@ -123,20 +223,20 @@ export async function fillBasicsForm(page, contractor) {
 
   // First name only (no middle name/initial)
   log('step', `  First name: "${contractor.firstName}"`);
-  await typeInto(page, 'input[name="firstName"]', contractor.firstName);
+  await typeInto(page, await find(page, 'firstNameInput'), contractor.firstName);
 
   // Last name
   log('step', `  Last name: "${contractor.lastName}"`);
-  await typeInto(page, 'input[name="lastName"]', contractor.lastName);
+  await typeInto(page, await find(page, 'lastNameInput'), contractor.lastName);
 
   // Worker type: Contractor (Individual)
   log('step', '  Selecting: Contractor (Individual)');
-  await page.click('input[name="workerType"][value="individual_contractor"]');
+  await page.click(await find(page, 'workerTypeIndividual', { visible: false }));
   await shortDelay(30, 60);
 
   // Personal email
   log('step', `  Email: "${contractor.email}"`);
-  await typeInto(page, 'input[name="email"]', contractor.email);
+  await typeInto(page, await find(page, 'emailInput'), contractor.email);
 
   // Submit and wait for navigation to next step
   await submitAndWaitForNav(page);
@@ -144,87 +244,209 @@ export async function fillBasicsForm(page, contractor) {
 }
 
 // ---------------------------------------------------------------------------
-// Step 3: Role page -- set contract start date
+// Step 2 (business): Basics form for a business contractor (name, EIN, email)
 // ---------------------------------------------------------------------------
 
-export async function fillRoleStartDate(page) {
-  log('step', 'Step 3: Setting contract start date');
+export async function fillBusinessBasicsForm(page, contractor) {
+  log('step', `Step 2: Filling Basics form for business ${contractor.businessName}`);
+
+  // Worker type first: switching to Business swaps the name fields for business fields
+  log('step', '  Selecting: Contractor (Business)');
+  await page.click(await find(page, 'workerTypeBusiness', { visible: false }));
+  const businessNameInput = await find(page, 'businessNameInput', { timeout: 5000 });
+  await shortDelay(30, 60);
+
+  log('step', `  Business name: "${contractor.businessName}"`);
+  await typeInto(page, businessNameInput, contractor.businessName);
+
+  log('step', `  EIN: "${contractor.ein}"`);
+  await typeInto(page, await find(page, 'einInput'), contractor.ein);
+
+  // Contact email for the business
+  log('step', `  Email: "${contractor.email}"`);
+  await typeInto(page, await find(page, 'emailInput'), contractor.email);
+
+  await submitAndWaitForNav(page);
+  log('ok', '  Business basics form submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Business details page -- address/contact info the business completes itself
+// ---------------------------------------------------------------------------
+
+export async function submitBusinessDetails(page) {
+  log('step', 'Business details page');
   await waitForPageReady(page);
 
-  log('step', `  Date: ${DATE.month}/${DATE.day}/${DATE.year}`);
+  const pageText = await page.evaluate(() => document.body?.innerText?.slice(0, 500) || '');
+  log('data', `  Page: ${pageText.replace(/\n/g, ' | ').slice(0, 200)}`);
+
+  await submitAndWaitForNav(page);
+  log('ok', '  Business details submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Step 3: Role page -- set contract start date
+// ---------------------------------------------------------------------------
+
+/**
+ * Fill a start date on the current page, using either Gusto's separate
+ * mm/dd/yyyy inputs or a single date field.
+ */
+export async function fillStartDate(page, date) {
+  log('step', `  Date: ${date.month}/${date.day}/${date.year}`);
 
   // Gusto uses separate mm/dd/yyyy inputs with aria-labels
-  const monthInput = await page.$('input[aria-label="Month (mm)"], input[placeholder="mm"]');
-  const dayInput = await page.$('input[aria-label="Day (dd)"], input[placeholder="dd"]');
-  const yearInput = await page.$('input[aria-label="Year (yyyy)"], input[placeholder="yyyy"]');
+  const monthInput = await page.$(anyOf('startDateMonth'));
+  const dayInput = await page.$(anyOf('startDateDay'));
+  const yearInput = await page.$(anyOf('startDateYear'));
 
   if (monthInput && dayInput && yearInput) {
     log('step', '  Using separate mm/dd/yyyy fields');
     await monthInput.click({ clickCount: 3 });
-    await monthInput.type(DATE.month, { delay: 15 });
+    await monthInput.type(date.month, { delay: 15 });
     await shortDelay(15, 30);
 
     await dayInput.click({ clickCount: 3 });
-    await dayInput.type(DATE.day, { delay: 15 });
+    await dayInput.type(date.day, { delay: 15 });
     await shortDelay(15, 30);
 
     await yearInput.click({ clickCount: 3 });
-    await yearInput.type(DATE.year, { delay: 15 });
+    await yearInput.type(date.year, { delay: 15 });
   } else {
     // Fallback: single date input
-    const dateInput = await page.$('input[name="startDate"], input[name*="date" i]');
+    const dateInput = await page.$(anyOf('startDateInput'));
     if (dateInput) {
       log('step', '  Using single startDate field');
       await dateInput.click({ clickCount: 3 });
       await page.keyboard.press('Backspace');
       await shortDelay(15, 30);
-      await dateInput.type(`${DATE.month}/${DATE.day}/${DATE.year}`, { delay: 15 });
+      await dateInput.type(`${date.month}/${date.day}/${date.year}`, { delay: 15 });
     } else {
-      throw new Error('No date inputs found on role page');
+      throw new Error('No date inputs found on page');
     }
   }
   await shortDelay(50, 80);
+}
+
+export async function fillRoleStartDate(page, contractor) {
+  log('step', 'Step 3: Setting contract start date');
+  await waitForPageReady(page);
+
+  await fillStartDate(page, contractor?.startDate ?? CONFIG.gusto.contractStartDate);
 
   await submitAndWaitForNav(page);
   log('ok', '  Role start date submitted');
 }
 
 // ---------------------------------------------------------------------------
-// Step 4: Compensation page -- select Fixed payment amounts
+// Step 4: Compensation page -- select the contractor's wage type (Fixed by default)
 // ---------------------------------------------------------------------------
 
-export async function selectCompensation(page) {
-  log('step', 'Step 4: Selecting compensation type');
-  await waitForPageReady(page);
-
-  // Dump page for debugging
-  const pageText = await page.evaluate(() => document.body?.innerText?.slice(0, 1000) || '');
-  log('data', `  Page text: ${pageText.replace(/\n/g, ' | ').slice(0, 300)}`);
-
-  // Look for radio/label for "Fixed"
-  const fixedLabelId = await page.evaluate(() => {
+/**
+ * Click the radio whose label mentions the wage type and confirm it is checked.
+ */
+export async function chooseWageType(page, wageType) {
+  // Look for radio/label matching the wage type ("fixed" / "hourly")
+  const wageLabelId = await page.evaluate((wanted) => {
     const radios = [...document.querySelectorAll('input[type="radio"]')];
     for (const r of radios) {
       const label = document.querySelector(`label[for="${r.id}"]`);
-      if (label && label.textContent.toLowerCase().includes('fixed')) return r.id;
+      if (label && label.textContent.toLowerCase().includes(wanted)) return r.id;
     }
     // Also check labels
     const labels = [...document.querySelectorAll('label')];
-    const label = labels.find(l => l.textContent.toLowerCase().includes('fixed') && l.offsetParent !== null);
+    const label = labels.find(l => l.textContent.toLowerCase().includes(wanted) && l.offsetParent !== null);
     if (label?.htmlFor) return label.htmlFor;
     return null;
+  }, wageType.toLowerCase());
+
+  if (!wageLabelId) {
+    log('warn', `  Could not find ${wageType} radio, trying label click`);
+    await clickButtonByText(page, wageType);
+    await shortDelay(50, 80);
+    return;
+  }
+
+  // Click the label for the radio, which triggers the radio properly
+  await page.click(`label[for="${wageLabelId}"]`);
+  await shortDelay(30, 60);
+
+  const checked = await page.evaluate((id) => document.getElementById(id)?.checked === true, wageLabelId);
+  if (!checked) throw new Error(`${wageType} payment type did not stay selected`);
+  log('ok', `  Selected ${wageType} payment type`);
+}
+
+/**
+ * Type a money value into a field and confirm the page kept it (Gusto may
+ * reformat it as "$45.00", so compare numerically).
+ */
+export async function fillMoneyField(page, selector, amount, label) {
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    log('step', `  ${label}: ${amount}`);
+    await typeInto(page, selector, amount);
+    await page.keyboard.press('Tab');
+    await shortDelay(50, 80);
+
+    const actual = await page.$eval(selector, (el) => el.value);
+    if (Number(actual.replace(/[^\d.]/g, '')) === Number(amount)) return;
+    log('warn', `  ${label} shows "${actual}" instead of ${amount} (attempt ${attempt}/2)`);
+  }
+  throw new Error(`${label} did not stick: expected ${amount}`);
+}
+
+/**
+ * Fail with a clear message if the page still has required fields we left empty,
+ * rather than letting the submit hang on a validation message.
+ */
+export async function assertRequiredFieldsFilled(page) {
+  const empty = await page.evaluate(() => {
+    const visible = (el) => el.offsetParent !== null;
+    const required = [...document.querySelectorAll('input[required], select[required], textarea[required], [aria-required="true"]')].filter(visible);
+    const missing = [];
+    for (const el of required) {
+      if (el.type === 'radio') {
+        if (!document.querySelector(`input[type="radio"][name="${el.name}"]:checked`)) missing.push(el.name);
+      } else if (el.type === 'checkbox') {
+        if (!el.checked) missing.push(el.name || el.getAttribute('aria-label'));
+      } else if (!String(el.value ?? '').trim()) {
+        missing.push(el.name || el.getAttribute('aria-label') || el.id);
+      }
+    }
+    return [...new Set(missing)];
   });
+  if (empty.length > 0) throw fatalError(`Required fields left empty on ${page.url()}: ${empty.join(', ')}`);
+}
 
-  if (fixedLabelId) {
-    // Click the label for the radio, which triggers the radio properly
-    const labelSel = `label[for="${fixedLabelId}"]`;
-    await page.click(labelSel);
-    await shortDelay(30, 60);
-    log('ok', '  Selected Fixed payment type');
-  } else {
-    log('warn', '  Could not find Fixed radio, trying label click');
-    await clickButtonByText(page, 'Fixed');
+export async function selectCompensation(page, contractor) {
+  const wageType = contractor?.wageType ?? CONFIG.gusto.wageType;
+  const payAmount = contractor?.payAmount ?? CONFIG.gusto.payAmount;
+  log('step', `Step 4: Selecting compensation type (${wageType})`);
+  await waitForPageReady(page);
+
+  // Dump page for debugging
+  const pageText = await page.evaluate(() => document.body?.innerText?.slice(0, 1000) || '');
+  log('data', `  Page text: ${pageText.replace(/\n/g, ' | ').slice(0, 300)}`);
+
+  await chooseWageType(page, wageType);
+
+  if (wageType === 'Hourly') {
+    if (!payAmount) throw new Error('Hourly contractors need a Pay Amount (hourly rate)');
+    // The rate field only appears once Hourly is selected
+    const rateInput = await find(page, 'hourlyRateInput', { timeout: 5000 })
+      .catch(() => { throw transientError('Hourly rate field did not appear after selecting Hourly'); });
+    await fillMoneyField(page, rateInput, payAmount, 'Hourly rate');
+  } else if (payAmount) {
+    // Per-contractor amount, if the sheet supplied one and the page asks for it
+    const amountInput = await resolve(page, 'amountInput');
+    if (amountInput) {
+      await fillMoneyField(page, amountInput.selector, payAmount, 'Amount');
+    } else {
+      log('warn', `  No amount field on compensation page, ignoring amount ${payAmount}`);
+    }
   }
+
+  await assertRequiredFieldsFilled(page);
   await shortDelay(50, 80);
 
   await submitAndWaitForNav(page);
@@ -309,49 +531,320 @@ export async function sendInvitation(page) {
 }
 
 // ---------------------------------------------------------------------------
-// Full workflow: add one contractor end-to-end
+// Wizard state machine
+//
+// Each state declares how to recognise its page (URL, heading, and logical
+// elements from src/selectors.js) and which handler fills it.
+// The runner detects the current page after every submit and dispatches to the
+// matching handler, so pages Gusto inserts, drops or reorders are either
+// handled or reported by name instead of failing on a missing button.
 // ---------------------------------------------------------------------------
 
-export async function addContractor(page, contractor) {
-  const name = `${contractor.firstName} ${contractor.lastName}`;
-  log('info', `=== Starting contractor workflow for: ${name} (row ${contractor.row}) ===`);
-  const stepsCompleted = [];
-  const startTime = Date.now();
+// Recognition weights: a URL match outranks a heading match, which outranks required fields.
+// Fields only break ties: a state is never picked without a URL or heading match.
+const MATCH_WEIGHTS = { url: 4, heading: 2, fields: 1 };
+const DETECT_ATTEMPTS = 5;
+const MAX_VISITS_PER_STATE = 2;
+
+export const CONTRACTOR_WIZARD = [
+  {
+    id: 'basics_form',
+    match: { url: /\/basics/i, heading: /basics/i, fields: ['firstNameInput', 'emailInput'] },
+    handle: (page, contractor) => fillBasicsForm(page, contractor),
+  },
+  {
+    id: 'role_start_date',
+    match: { url: /\/(role|job)/i, heading: /role|start date/i, fields: ['startDateField'] },
+    handle: (page, contractor) => fillRoleStartDate(page, contractor),
+  },
+  {
+    id: 'compensation',
+    match: { url: /compensation|\/pay/i, heading: /compensation|payment/i, fields: ['wageTypeRadio'] },
+    handle: (page, contractor) => selectCompensation(page, contractor),
+  },
+  {
+    id: 'review',
+    match: { url: /review|finali[sz]e/i, heading: /review|finali[sz]e/i, fields: [] },
+    handle: (page) => submitReview(page),
+  },
+  {
+    id: 'onboarding',
+    match: { url: /add_team_member\/.*onboarding/i, heading: /onboarding/i, fields: [] },
+    handle: (page) => completeOnboarding(page),
+  },
+  {
+    id: 'contact_details',
+    match: { url: /contact|documents/i, heading: /contact details|documents/i, fields: [] },
+    handle: (page) => submitContactDetails(page),
+  },
+  {
+    id: 'send_invitation',
+    match: { url: /invit/i, heading: /invit/i, fields: [] },
+    handle: (page) => sendInvitation(page),
+    final: true,
+  },
+];
+
+// Business contractors go through the same pages, plus a business details page,
+// with their own basics handler. Step ids are prefixed so stepsCompleted shows the path taken.
+const BUSINESS_CONTRACTOR_WIZARD = [
+  ...CONTRACTOR_WIZARD.map((state) => ({
+    ...state,
+    id: `business_${state.id}`,
+    ...(state.id === 'basics_form' && {
+      match: { ...state.match, fields: ['emailInput'] },
+      handle: (page, contractor) => fillBusinessBasicsForm(page, contractor),
+    }),
+  })),
+  {
+    id: 'business_details',
+    match: { url: /business_(details|info|address)/i, heading: /business (details|information|address)/i, fields: [] },
+    handle: (page) => submitBusinessDetails(page),
+  },
+];
+
+const WIZARDS = {
+  individual_contractor: CONTRACTOR_WIZARD,
+  business_contractor: BUSINESS_CONTRACTOR_WIZARD,
+};
+
+async function readPageSignals(page) {
+  return page.evaluate(() => {
+    const visible = (el) => el.offsetParent !== null;
+    const h = [...document.querySelectorAll('h1, h2, h3')].find(visible);
+    return {
+      heading: h?.textContent?.trim() || '',
+      buttons: [...document.querySelectorAll('button')].filter(visible).map(b => b.textContent.trim()).filter(Boolean).slice(0, 10),
+      inputs: [...document.querySelectorAll('input, select, textarea')].filter(visible).map(i => i.name || i.getAttribute('aria-label') || i.type).slice(0, 15),
+    };
+  });
+}
 
-  try {
-    await navigateToAddPerson(page);
-    stepsCompleted.push('navigate_add_person');
+/**
+ * Score every state against the current page and return the best match, or
+ * null. A state must match the URL or the heading; its fields alone (e.g. a
+ * wage-type radio on some unrelated page) are not enough.
+ */
+async function matchState(page, states) {
+  const url = page.url();
+  const { heading } = await readPageSignals(page);
+
+  let best = null;
+  let bestScore = 0;
+  for (const state of states) {
+    const { url: urlPattern, heading: headingPattern, fields = [] } = state.match;
+    let score = 0;
+    if (urlPattern?.test(url)) score += MATCH_WEIGHTS.url;
+    if (heading && headingPattern?.test(heading)) score += MATCH_WEIGHTS.heading;
+    if (score === 0) continue;
+    if (fields.length > 0) {
+      const present = await Promise.all(fields.map((name) => page.$(anyOf(name))));
+      if (present.every(Boolean)) score += MATCH_WEIGHTS.fields;
+    }
+    if (score > bestScore) {
+      best = state;
+      bestScore = score;
+    }
+  }
+  return best;
+}
 
-    await fillBasicsForm(page, contractor);
-    stepsCompleted.push('basics_form');
+/**
+ * Work out which wizard state the page is showing, retrying briefly while it settles.
+ * Throws an "unrecognised step" error with the page's URL, heading, buttons and fields.
+ */
+export async function detectWizardState(page, states = CONTRACTOR_WIZARD) {
+  for (let attempt = 1; attempt <= DETECT_ATTEMPTS; attempt++) {
+    const state = await matchState(page, states);
+    if (state) return state;
+    await sleep(1000);
+  }
+
+  const { heading, buttons, inputs } = await readPageSignals(page);
+  throw fatalError(
+    `Unrecognised wizard step: url=${page.url()} heading="${heading}" `
+    + `buttons=[${buttons.join(' | ')}] fields=[${inputs.join(', ')}] `
+    + `(known steps: ${states.map((s) => s.id).join(', ')})`,
+  );
+}
 
-    await fillRoleStartDate(page);
-    stepsCompleted.push('role_start_date');
+/**
+ * Reload the current page before retrying a step, so a stuck spinner or a
+ * half-rendered form starts over from a clean load of the same step.
+ */
+async function reloadForRetry(page) {
+  log('step', `  Reloading ${page.url()} before retrying`);
+  await page.reload({ waitUntil: 'networkidle2', timeout: 20000 });
+  await waitForStableDOM(page, 300, 8000);
+}
+
+/**
+ * Drive the wizard from whatever page it is on until a final state has been handled.
+ * Each step (detect + handle) is retried on transient failures; a retry detects
+ * the page again, in case the failed attempt got further than it seemed.
+ * Calls onStep(stateId) after each handler succeeds.
+ */
+async function runWizard(page, states, contractor, onStep, attempts) {
+  const visits = new Map();
+
+  for (;;) {
+    let current = null;
+    const state = await withRetry(async () => {
+      current = await detectWizardState(page, states);
+      if ((visits.get(current.id) ?? 0) >= MAX_VISITS_PER_STATE) {
+        throw fatalError(`Stuck on wizard step "${current.id}": submitting did not move past it (${page.url()})`);
+      }
+      log('data', `  Detected wizard step: ${current.id}`);
+      try {
+        await current.handle(page, contractor);
+      } catch (error) {
+        if (error.validation) {
+          error.validation.forEach((e) => { e.step ??= current.id; });
+          error.message = `${error.message} (step ${current.id})`;
+        }
+        throw error;
+      }
+      return current;
+    }, { step: () => current?.id ?? 'detect_step', page, attempts, beforeRetry: () => reloadForRetry(page) });
+
+    visits.set(state.id, (visits.get(state.id) ?? 0) + 1);
+    onStep(state.id);
+
+    if (state.final) return;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Full workflow: add one person end-to-end
+// ---------------------------------------------------------------------------
 
-    await selectCompensation(page);
-    stepsCompleted.push('compensation');
+/**
+ * Shared driver for every add-person flow: duplicate check, draft resume,
+ * then the given wizard until its final state.
+ *
+ * Options:
+ *   checkExisting -- search Gusto for the email/name first and stop with
+ *                    status 'already_exists' on a match (default true). A match
+ *                    that is an unfinished draft is resumed from whatever step it is on;
+ *                    an ambiguous one fails the row rather than guessing.
+ *   confirmInvite -- a match that shows no sign its invitation went out (and
+ *                    has no draft to resume) fails the row for a person to
+ *                    check, instead of returning 'already_exists'
+ *   beforeCreate  -- async callback run right before anything is created in Gusto;
+ *                    if it throws, the row fails and nothing is created
+ *
+ * Steps are retried on transient failures (see src/retry.js). The result
+ * carries every attempt in `attempts` and, on failure, the error's `errorKind`.
+ */
+export async function runAddPersonFlow(page, contractor, wizard, { checkExisting = true, confirmInvite = false, beforeCreate = null } = {}) {
+  const name = contractor.displayName ?? `${contractor.firstName} ${contractor.lastName}`;
+  log('info', `=== Starting ${contractor.workerType ?? 'individual_contractor'} workflow for: ${name} (row ${contractor.row}) ===`);
+  const stepsCompleted = [];
+  const attempts = [];
+  const startTime = Date.now();
 
-    await submitReview(page);
-    stepsCompleted.push('review');
+  let resumeUrl = null;
+  if (checkExisting) {
+    try {
+      const existing = await withRetry(
+        () => findPersonInGusto(page, { email: contractor.email, name }),
+        { step: 'duplicate_check', page, attempts },
+      );
+      if (existing.ambiguous) {
+        const who = existing.reason ?? describeCandidates(existing.candidates);
+        log('err', `=== ${name} matches more than one person in Gusto (/people/${existing.where}): ${who} ===`);
+        return {
+          success: false, status: 'failed', name, stepsCompleted, attempts, existing, errorKind: ErrorKind.FATAL,
+          errors: [`Ambiguous match in Gusto (${who}) -- check by hand, or rerun with --no-dup-check to add anyway`],
+        };
+      }
+      if (existing.found && existing.resumeUrl) {
+        log('info', `=== ${name} has an unfinished draft in Gusto -- resuming it instead of adding again ===`);
+        resumeUrl = existing.resumeUrl;
+      } else if (existing.found && confirmInvite && !existing.inviteSent) {
+        const where = `/people/${existing.where}, by ${existing.matchedBy}`;
+        log('err', `=== ${name} is in Gusto (${where}) but shows no sign the invitation was sent ===`);
+        return {
+          success: false, status: 'failed', name, stepsCompleted, attempts, existing, errorKind: ErrorKind.FATAL,
+          errors: [`Found in Gusto (${where}) with no draft to resume and no sign the invitation was sent -- check the person in Gusto by hand`],
+        };
+      } else if (existing.found) {
+        log('warn', `=== ${name} already exists in Gusto (/people/${existing.where}, by ${existing.matchedBy}) -- not adding ===`);
+        return { success: false, status: 'already_exists', name, stepsCompleted, errors: [], attempts, existing };
+      }
+    } catch (error) {
+      log('err', `=== Duplicate check failed for ${name}: ${error.message} ===`);
+      return {
+        success: false, status: 'failed', name, stepsCompleted, attempts,
+        errors: [`Duplicate check failed: ${error.message}`], errorKind: error.kind,
+      };
+    }
+  }
+  if (beforeCreate) {
+    try {
+      await beforeCreate();
+    } catch (error) {
+      log('err', `=== Could not prepare ${name}: ${error.message} -- nothing was created in Gusto ===`);
+      return {
+        success: false, status: 'failed', name, stepsCompleted, attempts,
+        errors: [`Could not mark the row in progress: ${error.message}`], errorKind: error.kind ?? ErrorKind.FATAL,
+      };
+    }
+  }
 
-    await completeOnboarding(page);
-    stepsCompleted.push('onboarding');
+  // The wizard URLs carry the new person's ID once the basics form is saved
+  const person = { personId: null, personUrl: null };
+  const notePerson = () => {
+    const url = page.url();
+    const id = extractPersonId(url);
+    if (id && !person.personId) {
+      person.personId = id;
+      person.personUrl = url;
+      log('data', `  Gusto person ID: ${id}`);
+    }
+  };
 
-    await submitContactDetails(page);
-    stepsCompleted.push('contact_details');
+  try {
+    if (resumeUrl) {
+      await withRetry(async () => {
+        log('step', `Resuming unfinished draft: ${resumeUrl}`);
+        await page.goto(resumeUrl, { waitUntil: 'networkidle2', timeout: 20000 });
+        await waitForStableDOM(page, 300, 8000);
+      }, { step: 'resume_draft', page, attempts });
+      stepsCompleted.push('resume_draft');
+    } else {
+      await withRetry(() => navigateToAddPerson(page), { step: 'navigate_add_person', page, attempts });
+      stepsCompleted.push('navigate_add_person');
+    }
+    notePerson();
 
-    await sendInvitation(page);
-    stepsCompleted.push('send_invitation');
+    await runWizard(page, wizard, contractor, (stepId) => {
+      stepsCompleted.push(stepId);
+      notePerson();
+    }, attempts);
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    log('ok', `=== Completed ${name} in ${elapsed}s (${stepsCompleted.length}/8 steps) ===`);
-    return { success: true, name, stepsCompleted, errors: [] };
+    const retries = attempts.filter((a) => a.outcome !== 'ok').length;
+    log('ok', `=== Completed ${name} in ${elapsed}s (${stepsCompleted.length} steps${retries ? `, ${retries} retried` : ''}) ===`);
+    return { success: true, status: 'sent', name, stepsCompleted, errors: [], attempts, resumed: !!resumeUrl, ...person };
 
   } catch (error) {
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    log('err', `=== FAILED on ${name} after ${elapsed}s at step ${stepsCompleted.length + 1}: ${error.message} ===`);
+    log('err', `=== FAILED (${error.kind ?? 'fatal'}) on ${name} after ${elapsed}s after ${stepsCompleted.length} steps: ${error.message} ===`);
     log('err', `  Completed steps: ${stepsCompleted.join(', ')}`);
     await dumpPageState(page);
-    return { success: false, name, stepsCompleted, errors: [error.message] };
+    return {
+      success: false, status: 'failed', name, stepsCompleted, attempts,
+      errors: [error.message], errorKind: error.kind ?? 'fatal', validationErrors: error.validation ?? [],
+      resumed: !!resumeUrl, ...person,
+    };
   }
 }
+
+/**
+ * Add one contractor (individual or business, per contractor.workerType).
+ * See runAddPersonFlow for options.
+ */
+export async function addContractor(page, contractor, opts = {}) {
+  return runAddPersonFlow(page, contractor, WIZARDS[contractor.workerType ?? 'individual_contractor'], opts);
+}
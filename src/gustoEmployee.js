@@ -0,0 +1,179 @@
+import { log, shortDelay } from './utils.js';
+import {
+  typeInto,
+  submitAndWaitForNav,
+  waitForPageReady,
+  clickButtonByText,
+  chooseWageType,
+  fillMoneyField,
+  assertRequiredFieldsFilled,
+  fillStartDate,
+  runAddPersonFlow,
+  CONTRACTOR_WIZARD,
+} from './gusto.js';
+import { find } from './selectors.js';
+import { transientError } from './retry.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick an option whose text contains `wanted`, from either a native <select>
+ * or a combobox that opens a listbox.
+ */
+async function chooseOption(page, selector, wanted, label) {
+  const el = await page.$(selector);
+  if (!el) throw new Error(`${label} field not found`);
+
+  const tag = await page.evaluate((e) => e.tagName, el);
+  if (tag === 'SELECT') {
+    const value = await page.evaluate((e, w) => {
+      const opt = [...e.options].find(o => o.textContent.toLowerCase().includes(w.toLowerCase()));
+      return opt?.value ?? null;
+    }, el, wanted);
+    if (value === null) throw new Error(`${label} "${wanted}" is not one of the options`);
+    await page.select(selector, value);
+  } else {
+    await el.click();
+    await shortDelay(80, 120);
+    const clicked = await page.evaluate((w) => {
+      const opt = [...document.querySelectorAll('[role="option"]')]
+        .find(o => o.offsetParent !== null && o.textContent.toLowerCase().includes(w.toLowerCase()));
+      if (!opt) return false;
+      opt.click();
+      return true;
+    }, wanted);
+    if (!clicked) throw new Error(`${label} "${wanted}" is not one of the options`);
+  }
+  await shortDelay(30, 60);
+  log('ok', `  ${label}: ${wanted}`);
+}
+
+// ---------------------------------------------------------------------------
+// Basics form (name, email, Employee worker type)
+// ---------------------------------------------------------------------------
+
+export async function fillEmployeeBasicsForm(page, employee) {
+  log('step', `Step 2: Filling Basics form for employee ${employee.firstName} ${employee.lastName}`);
+
+  log('step', `  First name: "${employee.firstName}"`);
+  await typeInto(page, await find(page, 'firstNameInput'), employee.firstName);
+
+  log('step', `  Last name: "${employee.lastName}"`);
+  await typeInto(page, await find(page, 'lastNameInput'), employee.lastName);
+
+  log('step', '  Selecting: Employee (W-2)');
+  await page.click(await find(page, 'workerTypeEmployee', { visible: false }));
+  await shortDelay(30, 60);
+
+  log('step', `  Email: "${employee.email}"`);
+  await typeInto(page, await find(page, 'emailInput'), employee.email);
+
+  await submitAndWaitForNav(page);
+  log('ok', '  Basics form submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Job page: job title, work location, start date
+// ---------------------------------------------------------------------------
+
+export async function fillJobDetails(page, employee) {
+  log('step', 'Step 3: Filling job details');
+  await waitForPageReady(page);
+
+  log('step', `  Job title: "${employee.jobTitle}"`);
+  await typeInto(page, await find(page, 'jobTitleInput'), employee.jobTitle);
+
+  if (employee.workLocation) {
+    await chooseOption(page, await find(page, 'workLocationField'), employee.workLocation, 'Work location');
+  } else {
+    log('info', '  No work location given, keeping Gusto\'s default');
+  }
+
+  await fillStartDate(page, employee.startDate);
+  await assertRequiredFieldsFilled(page);
+
+  await submitAndWaitForNav(page);
+  log('ok', '  Job details submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Compensation page: Hourly or Salary, plus the rate
+// ---------------------------------------------------------------------------
+
+export async function fillEmployeeCompensation(page, employee) {
+  log('step', `Step 4: Setting employee pay (${employee.wageType} ${employee.payAmount})`);
+  await waitForPageReady(page);
+
+  await chooseWageType(page, employee.wageType);
+  const rateInput = await find(page, 'employeePayRateInput', { timeout: 5000 })
+    .catch(() => { throw transientError('Pay rate field not found on employee compensation page'); });
+  await fillMoneyField(page, rateInput, employee.payAmount, employee.wageType === 'Hourly' ? 'Hourly rate' : 'Salary');
+
+  await assertRequiredFieldsFilled(page);
+  await submitAndWaitForNav(page);
+  log('ok', '  Employee compensation submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Pay schedule page
+// ---------------------------------------------------------------------------
+
+export async function selectPaySchedule(page, employee) {
+  log('step', 'Step 5: Pay schedule');
+  await waitForPageReady(page);
+
+  if (employee.paySchedule) {
+    log('step', `  Selecting pay schedule: "${employee.paySchedule}"`);
+    await clickButtonByText(page, employee.paySchedule)
+      .catch(() => { throw new Error(`Pay schedule "${employee.paySchedule}" not found on page`); });
+  } else {
+    log('info', '  No pay schedule given, keeping the company default');
+  }
+
+  await assertRequiredFieldsFilled(page);
+  await submitAndWaitForNav(page);
+  log('ok', '  Pay schedule submitted');
+}
+
+// ---------------------------------------------------------------------------
+// Wizard + full workflow
+// ---------------------------------------------------------------------------
+
+// Review, onboarding, documents and invitation pages are shared with contractors
+const SHARED_STATES = ['review', 'onboarding', 'contact_details', 'send_invitation'];
+
+const EMPLOYEE_WIZARD = [
+  {
+    id: 'employee_basics_form',
+    match: { url: /\/basics/i, heading: /basics/i, fields: ['firstNameInput', 'emailInput'] },
+    handle: (page, employee) => fillEmployeeBasicsForm(page, employee),
+  },
+  {
+    id: 'employee_job',
+    match: { url: /\/(job|role)/i, heading: /job|role|title/i, fields: ['jobTitleInput'] },
+    handle: (page, employee) => fillJobDetails(page, employee),
+  },
+  {
+    id: 'employee_compensation',
+    match: { url: /compensation|\/pay(?!_schedule)/i, heading: /compensation|^pay$|pay rate/i, fields: ['wageTypeRadio'] },
+    handle: (page, employee) => fillEmployeeCompensation(page, employee),
+  },
+  {
+    id: 'employee_pay_schedule',
+    match: { url: /pay_schedule|pay-schedule/i, heading: /pay schedule/i, fields: [] },
+    handle: (page, employee) => selectPaySchedule(page, employee),
+  },
+  ...CONTRACTOR_WIZARD
+    .filter((state) => SHARED_STATES.includes(state.id))
+    .map((state) => ({ ...state, id: `employee_${state.id}` })),
+];
+
+/**
+ * Add one W-2 employee. Same options as addContractor (duplicate check,
+ * draft resume, beforeCreate hook).
+ */
+export async function addEmployee(page, employee, opts = {}) {
+  return runAddPersonFlow(page, employee, EMPLOYEE_WIZARD, opts);
+}
@@ -0,0 +1,225 @@
+import { CONFIG } from '../config.js';
+import { log, waitForStableDOM } from './utils.js';
+import { anyOf, candidates } from './selectors.js';
+import { matchPerson, describeCandidates } from './match.js';
+
+// Safety stop in case a "next" control never disables
+const MAX_PAGES = 200;
+
+// ---------------------------------------------------------------------------
+// Scraping one page of a people list
+// ---------------------------------------------------------------------------
+
+/**
+ * Read every person row currently rendered. Returns
+ * [{ name, email, status, progress, resumeUrl, href }].
+ *
+ * Progress only ever comes from inside the person's own row (a progress bar,
+ * scaled by its min and max, or an "NN%" label); a row without one has
+ * progress null.
+ */
+export async function scrapeRows(page, rowSelectors) {
+  return page.evaluate((rowSel, linkSel, badgeSel, progressSel) => {
+    const clean = (t) => (t ?? '').replace(/\s+/g, ' ').trim();
+    const matched = [...new Set(rowSel.flatMap((sel) => [...document.querySelectorAll(sel)]))];
+    // Keep the innermost rows, so a list item wrapping a table row isn't read twice
+    const rows = matched.filter((r) => !matched.some((o) => o !== r && r.contains(o)));
+
+    const people = [];
+    for (const row of rows) {
+      if (row.offsetParent === null || row.querySelector('th')) continue;
+      const text = clean(row.innerText);
+      if (!text) continue;
+
+      const link = row.querySelector(linkSel);
+      const firstCell = row.querySelector('td, [role="cell"], [role="gridcell"]');
+      const name = clean(link?.textContent) || clean(firstCell?.innerText?.split('\n')[0]) || clean(text.split('\n')[0]);
+      if (!name) continue;
+
+      const mailto = row.querySelector('a[href^="mailto:"]');
+      const email = (mailto?.getAttribute('href').slice(7) || text.match(/[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/i)?.[0] || '').toLowerCase();
+
+      // A bar's value is on its own scale (0..1, 0..5 steps, ...): turn it into a percentage.
+      // A native <progress> defaults to max 1; an ARIA progressbar to 0..100.
+      const bar = row.querySelector(progressSel);
+      let barValue = NaN;
+      if (bar instanceof HTMLProgressElement) {
+        if (bar.position >= 0) barValue = bar.position * 100;
+      } else if (bar?.hasAttribute('aria-valuenow')) {
+        const [now, min, max] = ['aria-valuenow', 'aria-valuemin', 'aria-valuemax'].map((a) => bar.getAttribute(a));
+        const [lo, hi] = [Number(min ?? 0), Number(max ?? 100)];
+        if (hi > lo) barValue = ((Number(now) - lo) / (hi - lo)) * 100;
+      }
+      const pct = [...row.querySelectorAll('span, div, p, td')].map((el) => clean(el.textContent))
+        .map((t) => t.match(/^(\d{1,3})%( complete)?$/i)?.[1]).find(Boolean);
+      const badge = row.querySelector(badgeSel);
+
+      // A person whose add-person wizard was never finished shows a link back into it
+      const links = [...row.querySelectorAll('a[href]')];
+      const resume = links.find((a) => /add_team_member/.test(a.getAttribute('href')))
+        || links.find((a) => /finish|resume|continue|complete setup|draft/i.test(a.textContent || ''));
+
+      people.push({
+        name,
+        email: email || null,
+        status: clean(badge?.textContent) || null,
+        progress: Number.isFinite(barValue) ? Math.round(barValue) : (pct ? parseInt(pct, 10) : null),
+        resumeUrl: resume?.href ?? null,
+        href: link?.href ?? null,
+      });
+    }
+    return people;
+  }, rowSelectors, anyOf('personNameLink'), anyOf('statusBadge'), anyOf('onboardingProgress'));
+}
+
+/**
+ * Move to the next page of the list: a "next" control, or a "Load more" /
+ * "Show more" button for lists that grow in place. Returns false at the end.
+ */
+async function goToNextPage(page) {
+  const clicked = await page.evaluate((nextSel) => {
+    const usable = (el) => el && el.offsetParent !== null && !el.disabled && el.getAttribute('aria-disabled') !== 'true';
+    const next = [...document.querySelectorAll(nextSel)].find(usable)
+      || [...document.querySelectorAll('button')].find((b) => usable(b) && /^(load|show) more/i.test(b.textContent.trim()));
+    if (!next) return false;
+    next.click();
+    return true;
+  }, anyOf('nextPageButton'));
+
+  if (clicked) await waitForStableDOM(page, 400, 8000);
+  return clicked;
+}
+
+/**
+ * Visit a people list and collect every person on every page.
+ */
+async function scrapeList(page, url, rowSelectors) {
+  await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
+  await waitForStableDOM(page, 300, 8000);
+
+  const byKey = new Map();
+  for (let pageNo = 1; pageNo <= MAX_PAGES; pageNo++) {
+    const before = byKey.size;
+    for (const person of await scrapeRows(page, rowSelectors)) {
+      byKey.set(person.email ?? `${person.name}|${person.href ?? ''}`, person);
+    }
+    log('data', `  ${url} page ${pageNo}: ${byKey.size} people so far`);
+
+    // A "next" that didn't add anyone new means the list has ended (or is looping)
+    if (pageNo > 1 && byKey.size === before) break;
+    if (!await goToNextPage(page)) break;
+  }
+  return [...byKey.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Onboarding checklist on a person's page
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a person's Gusto page and return the onboarding checklist items still
+ * outstanding, e.g. ['Tax forms', 'Payment info']. Returns [] if the person
+ * has no page link or no checklist is shown.
+ */
+export async function readOutstandingItems(page, person) {
+  if (!person?.href) return [];
+  await page.goto(person.href, { waitUntil: 'networkidle2', timeout: 20000 });
+  await waitForStableDOM(page, 300, 8000);
+
+  const items = await page.evaluate((itemSel) => {
+    const clean = (t) => (t ?? '').replace(/\s+/g, ' ').trim();
+    // Matched against whole lines ("Tax forms" / "Incomplete"), so a label such
+    // as "Complete your W-4" isn't mistaken for a status
+    const DONE = /^(complete|completed|done|finished|submitted)$/i;
+    const NOT_DONE = /^(incomplete|not (yet )?(complete|started|done)|to do|missing|pending|required)$/i;
+    const DONE_STATE = /\b(complete|completed|done|checked|success)\b/i;
+
+    const isDone = (item, lines) => {
+      if (lines.some((l) => NOT_DONE.test(l))) return false;
+      if (lines.some((l) => DONE.test(l))) return true;
+      return [item, ...item.querySelectorAll('[aria-checked], [data-state], [data-status]')].some((el) =>
+        el.getAttribute('aria-checked') === 'true'
+        || DONE_STATE.test(`${el.getAttribute('data-state') ?? ''} ${el.getAttribute('data-status') ?? ''}`));
+    };
+
+    const outstanding = [];
+    for (const item of document.querySelectorAll(itemSel)) {
+      if (item.offsetParent === null) continue;
+      const lines = (item.innerText ?? '').split('\n').map(clean).filter(Boolean);
+      if (lines.length === 0 || isDone(item, lines)) continue;
+      const label = lines.find((l) => !DONE.test(l) && !NOT_DONE.test(l));
+      if (label) outstanding.push(label);
+    }
+    return outstanding;
+  }, anyOf('checklistItem'));
+
+  return [...new Set(items)];
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+/**
+ * Page through /people/onboarding and /people/all once and return an
+ * in-memory index of everyone on them:
+ *
+ *   onboarding, all    -- [{ name, email, status, progress, resumeUrl, href }]
+ *   lookup({ email, name }) -> matchPerson's result (see src/match.js) plus
+ *                              where: 'onboarding' | 'all' | null
+ *
+ * Onboarding is checked first, so someone still onboarding reports their
+ * progress. An ambiguous result on either list stops the lookup there.
+ */
+export async function buildPeopleIndex(page) {
+  const started = Date.now();
+  log('step', 'Indexing Gusto people lists');
+
+  const onboarding = await scrapeList(page, CONFIG.gusto.onboardingUrl, candidates('onboardingRow'));
+  const all = await scrapeList(page, CONFIG.gusto.allPeopleUrl, candidates('personRow'));
+
+  log('ok', `Indexed ${onboarding.length} onboarding + ${all.length} people in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  return {
+    onboarding,
+    all,
+    lookup(who) {
+      for (const [where, list] of [['onboarding', onboarding], ['all', all]]) {
+        const result = matchPerson(list, who);
+        if (result.status !== 'none') return { where, ...result };
+      }
+      return { where: null, status: 'none' };
+    },
+  };
+}
+
+/**
+ * Verification verdict for one person from the index: onboarding at 100% or
+ * listed only on /people/all -> yesValue, still onboarding -> noValue, more
+ * than one plausible person -> ambiguousValue, not in Gusto -> null.
+ */
+export function verdictFromIndex(index, who, { yesValue = 'Yes', noValue = 'No', ambiguousValue = 'AMBIGUOUS' } = {}) {
+  const hit = index.lookup(who);
+  const label = who.name || who.email;
+  if (hit.status === 'none') {
+    log('warn', `  "${label}" not found on either list → skipping`);
+    return null;
+  }
+  if (hit.status === 'ambiguous') {
+    log('warn', `  "${label}" is ambiguous on /people/${hit.where}: ${hit.reason ?? describeCandidates(hit.candidates)} → ${ambiguousValue}`);
+    return ambiguousValue;
+  }
+
+  const { where, matchedBy, person } = hit;
+  if (where === 'onboarding') {
+    if (person.progress === 100) {
+      log('ok', `  "${label}" onboarding at 100% (by ${matchedBy}${matchedBy === 'name' ? ` ${person.name}` : ''}) → ${yesValue}`);
+      return yesValue;
+    }
+    log('info', `  "${label}" onboarding at ${person.progress ?? '?'}% (by ${matchedBy}) → ${noValue}`);
+    return noValue;
+  }
+
+  log('ok', `  "${label}" found on /people/all${person.status ? ` (${person.status})` : ''} by ${matchedBy} → ${yesValue}`);
+  return yesValue;
+}
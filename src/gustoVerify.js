@@ -1,30 +1,35 @@
-import { bringToFront } from './browser.js';
 import { log, shortDelay, sleep, waitForStableDOM } from './utils.js';
+import { candidates } from './selectors.js';
+import { scrapeRows } from './gustoIndex.js';
+import { matchPerson, describeCandidates } from './match.js';
+import { transientError } from './retry.js';
+import { CONFIG } from '../config.js';
 
 const SEARCH_SETTLE_MS = 600;
 
+// Status badges that show Gusto has (or hasn't yet) sent the person their invitation
+const INVITE_SENT = /\b(invited|invitation sent|onboarding|active)\b/i;
+const NOT_INVITED = /\b(draft|not invited|not sent|incomplete|set ?up)\b/i;
+
 // ---------------------------------------------------------------------------
 // Search bar interaction (shared between both pages)
 // ---------------------------------------------------------------------------
 
 async function findSearchInput(page) {
-  return page.evaluateHandle(() => {
-    const candidates = [
-      ...document.querySelectorAll('input[type="search"]'),
-      ...document.querySelectorAll('input[placeholder*="Search" i]'),
-      ...document.querySelectorAll('input[aria-label*="search" i]'),
-    ];
-    for (const el of candidates) {
-      if (el.offsetParent !== null) return el;
+  return page.evaluateHandle((selectors) => {
+    for (const sel of selectors) {
+      for (const el of document.querySelectorAll(sel)) {
+        if (el.offsetParent !== null) return el;
+      }
     }
     return null;
-  });
+  }, candidates('searchInput'));
 }
 
 async function searchOnPage(page, name) {
   const input = await findSearchInput(page);
   const isValid = await page.evaluate(el => el instanceof HTMLInputElement, input);
-  if (!isValid) throw new Error('Search input not found on Gusto page');
+  if (!isValid) throw transientError('Search input not found on Gusto page');
 
   await input.click({ clickCount: 3 });
   await page.keyboard.press('Backspace');
@@ -35,135 +40,114 @@ async function searchOnPage(page, name) {
 }
 
 // ---------------------------------------------------------------------------
-// /people/all -- person appearing in results = verified
+// Matching the rendered rows against the person we want (see src/match.js)
 // ---------------------------------------------------------------------------
 
-export async function isFoundOnAllPage(page, name) {
-  log('step', `  Searching /people/all for "${name}"`);
-  await searchOnPage(page, name);
-
-  const found = await page.evaluate((searchName) => {
-    const body = document.body?.innerText || '';
-    const noResults = /no (people|team members|results)/i.test(body)
-      || /couldn.t find/i.test(body)
-      || /0 results/i.test(body);
-    if (noResults) return false;
-
-    const rows = [
-      ...document.querySelectorAll('tr'),
-      ...document.querySelectorAll('[role="row"]'),
-      ...document.querySelectorAll('[data-testid*="person"], [data-testid*="employee"], [data-testid*="member"]'),
-    ];
-
-    const searchLower = searchName.toLowerCase();
-    for (const row of rows) {
-      const text = row.textContent?.toLowerCase() || '';
-      if (text.includes(searchLower)) return true;
-    }
+async function matchRowsOnPage(page, who, rowSelectors) {
+  const people = await scrapeRows(page, rowSelectors);
+  const result = matchPerson(people, who);
+  if (result.status === 'ambiguous') {
+    log('warn', `  Ambiguous: ${result.reason ?? describeCandidates(result.candidates)}`);
+  }
+  return result;
+}
 
-    const links = document.querySelectorAll('a');
-    for (const link of links) {
-      const text = link.textContent?.toLowerCase() || '';
-      if (text.includes(searchLower)) return true;
-    }
+// ---------------------------------------------------------------------------
+// /people/all -- person appearing in results = verified
+// ---------------------------------------------------------------------------
 
-    return false;
-  }, name.toLowerCase());
+/**
+ * Search /people/all for `term` and match the results against `who`
+ * ({ email, name }). Returns matchPerson's result.
+ */
+export async function isFoundOnAllPage(page, term, who) {
+  log('step', `  Searching /people/all for "${term}"`);
+  await searchOnPage(page, term);
 
-  log('data', `  /people/all result: ${found ? 'FOUND' : 'NOT FOUND'}`);
-  return found;
+  const result = await matchRowsOnPage(page, who, candidates('personRow'));
+  log('data', `  /people/all result: ${result.status === 'matched' ? `FOUND (${result.person.name}, by ${result.matchedBy})` : result.status.toUpperCase()}`);
+  return result;
 }
 
 // ---------------------------------------------------------------------------
 // /people/onboarding -- check progress percentage
 // ---------------------------------------------------------------------------
 
-export async function getOnboardingProgress(page, name) {
-  log('step', `  Searching /people/onboarding for "${name}"`);
-  await searchOnPage(page, name);
-
-  const result = await page.evaluate((searchName) => {
-    const body = document.body?.innerText || '';
-    const noResults = /no (people|team members|results)/i.test(body)
-      || /couldn.t find/i.test(body)
-      || /0 results/i.test(body);
-    if (noResults) return { found: false, progress: null };
-
-    const searchLower = searchName.toLowerCase();
-
-    const rows = [
-      ...document.querySelectorAll('tr'),
-      ...document.querySelectorAll('[role="row"]'),
-      ...document.querySelectorAll('[role="listitem"]'),
-      ...document.querySelectorAll('li'),
-    ];
-
-    for (const row of rows) {
-      const text = row.textContent?.toLowerCase() || '';
-      if (!text.includes(searchLower)) continue;
-
-      const spans = row.querySelectorAll('span, div, p, td');
-      for (const span of spans) {
-        const t = span.textContent?.trim();
-        if (t && /^\d{1,3}%$/.test(t)) {
-          return { found: true, progress: parseInt(t, 10) };
-        }
-      }
-    }
-
-    const allSpans = document.querySelectorAll('span, div');
-    for (const span of allSpans) {
-      const t = span.textContent?.trim();
-      if (t && /^\d{1,3}%$/.test(t)) {
-        return { found: true, progress: parseInt(t, 10) };
-      }
-    }
-
-    if (body.toLowerCase().includes(searchLower)) {
-      return { found: true, progress: null };
-    }
+/**
+ * Search /people/onboarding for `term` and match the results against `who`.
+ * Returns matchPerson's result plus { progress, resumeUrl } for a match.
+ * Progress is read from the matched person's row only, and is null if that
+ * row doesn't show one.
+ */
+export async function getOnboardingProgress(page, term, who) {
+  log('step', `  Searching /people/onboarding for "${term}"`);
+  await searchOnPage(page, term);
+
+  const result = await matchRowsOnPage(page, who, candidates('onboardingRow'));
+  if (result.status !== 'matched') {
+    log('data', `  /people/onboarding result: ${result.status.toUpperCase()}`);
+    return result;
+  }
 
-    return { found: false, progress: null };
-  }, name.toLowerCase());
+  const { progress, resumeUrl } = result.person;
+  log('data', `  /people/onboarding result: FOUND (${result.person.name}, by ${result.matchedBy}), progress=${progress ?? 'unknown'}%${resumeUrl ? ', unfinished draft' : ''}`);
+  return { ...result, progress, resumeUrl };
+}
 
-  if (result.found) {
-    log('data', `  /people/onboarding result: FOUND, progress=${result.progress ?? 'unknown'}%`);
-  } else {
-    log('data', `  /people/onboarding result: NOT FOUND`);
-  }
-  return result;
+/**
+ * Whether a scraped person row shows that their invitation went out: a
+ * status badge such as "Invited" or "Onboarding", or onboarding progress
+ * above 0%. An unfinished draft, or a row showing neither, counts as not sent.
+ */
+export function inviteWasSent(person) {
+  if (!person || person.resumeUrl) return false;
+  if (person.status && NOT_INVITED.test(person.status)) return false;
+  if (person.status && INVITE_SENT.test(person.status)) return true;
+  return (person.progress ?? 0) > 0;
 }
 
 // ---------------------------------------------------------------------------
-// Orchestrator: check both pages and return verdict
+// Lookup on a single tab: does this person already exist in Gusto?
 // ---------------------------------------------------------------------------
 
-export async function checkVerification(allPage, onboardingPage, firstName, lastName, { yesValue = 'Yes', noValue = 'No' } = {}) {
-  const name = `${firstName} ${lastName}`.trim();
-  log('info', `Checking verification for "${name}"`);
-
-  await bringToFront(onboardingPage);
-  await shortDelay(30, 50);
-
-  const { found, progress } = await getOnboardingProgress(onboardingPage, name);
-  if (found) {
-    if (progress === 100) {
-      log('ok', `  "${name}" onboarding at 100% → ${yesValue}`);
-      return yesValue;
+/**
+ * Search /people/onboarding and then /people/all for a person, by email first
+ * and then by name. Navigates the given page between the two lists.
+ * Returns { found, ambiguous, where: 'onboarding' | 'all' | null,
+ * matchedBy: 'email' | 'name' | null, resumeUrl, personUrl, inviteSent,
+ * candidates }, where resumeUrl links back into an unfinished add-person
+ * wizard, if there is one, personUrl is the person's Gusto page, inviteSent
+ * says whether Gusto shows the invitation went out (see inviteWasSent), and
+ * candidates lists the people an ambiguous name could be.
+ */
+export async function findPersonInGusto(page, { email, name }) {
+  const who = { email, name };
+  const lists = [
+    { where: 'onboarding', url: CONFIG.gusto.onboardingUrl, test: (term) => getOnboardingProgress(page, term, who) },
+    { where: 'all', url: CONFIG.gusto.allPeopleUrl, test: (term) => isFoundOnAllPage(page, term, who) },
+  ];
+  const notFound = { found: false, ambiguous: false, where: null, matchedBy: null, resumeUrl: null, personUrl: null, inviteSent: false, candidates: [] };
+
+  log('info', `Looking up "${name}" <${email}> in Gusto`);
+  for (const { where, url, test } of lists) {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
+    await waitForStableDOM(page, 300, 5000);
+
+    for (const term of [email, name]) {
+      if (!term) continue;
+      const result = await test(term);
+      if (result.status === 'ambiguous') {
+        return { ...notFound, ambiguous: true, where, candidates: result.candidates, reason: result.reason ?? null };
+      }
+      if (result.status === 'matched') {
+        const resumeUrl = result.resumeUrl ?? result.person.resumeUrl ?? null;
+        const inviteSent = inviteWasSent({ ...result.person, resumeUrl });
+        log('ok', `  Found on /people/${where} by ${result.matchedBy}${inviteSent ? '' : ' (no sign the invitation was sent)'}`);
+        return { ...notFound, found: true, where, matchedBy: result.matchedBy, resumeUrl, personUrl: result.person.href ?? null, inviteSent };
+      }
     }
-    log('info', `  "${name}" onboarding at ${progress ?? '?'}% → ${noValue}`);
-    return noValue;
-  }
-
-  await bringToFront(allPage);
-  await shortDelay(30, 50);
-
-  const onAll = await isFoundOnAllPage(allPage, name);
-  if (onAll) {
-    log('ok', `  "${name}" found on /people/all → ${yesValue}`);
-    return yesValue;
   }
 
-  log('warn', `  "${name}" not found on either page → skipping`);
-  return null;
+  log('info', '  Not found in Gusto');
+  return notFound;
 }
@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
-import { connectBrowser, findSheetsTab, findGustoTab, bringToFront } from './browser.js';
-import { readContractorRow, isRowCompleted, markRowCompleted } from './sheets.js';
+import path from 'path';
+import { connectBrowser, findGustoTab, bringToFront } from './browser.js';
+import { isStatusCompleted, isStatusPending, toContractor } from './sheets.js';
+import { openSource } from './sources/index.js';
 import { addContractor } from './gusto.js';
-import { getCachedRow, setCachedRow } from './cache.js';
-import { log, shortDelay, sleep } from './utils.js';
+import { addEmployee } from './gustoEmployee.js';
+import { attachForensics } from './artifacts.js';
+import { getCachedRow, setCachedRow, loadCache, configureCache, setCacheNamespace, rowFingerprint } from './cache.js';
+import { ErrorKind } from './retry.js';
+import { log, shortDelay, sleep, makeRunId } from './utils.js';
+import { CLI_FLAGS } from './configLayers.js';
 import { CONFIG } from '../config.js';
 
 // ---------------------------------------------------------------------------
@@ -19,6 +25,11 @@ function parseArgs() {
     dryRun: false,
     singleRow: null,
     noCache: false,
+    recoverCache: false,
+    noDupCheck: false,
+    backfillExisting: false,
+    trace: false,
+    source: 'sheets',
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -42,10 +53,33 @@ function parseArgs() {
       case '--no-cache':
         opts.noCache = true;
         break;
+      case '--recover-cache':
+        opts.recoverCache = true;
+        break;
+      case '--source':
+        opts.source = args[++i];
+        break;
+      case '--profile':
+      case '--config':
+      case '--set':
+        i++; // read by config.js
+        break;
+      case '--no-dup-check':
+        opts.noDupCheck = true;
+        break;
+      case '--backfill-existing':
+        opts.backfillExisting = true;
+        break;
+      case '--trace':
+        opts.trace = true;
+        break;
       case '--help':
       case '-h':
         printUsage();
         process.exit(0);
+        break;
+      default:
+        if (CLI_FLAGS[args[i]]) i++; // config override, read by config.js
     }
   }
 
@@ -70,93 +104,180 @@ Options:
   --end-row, -e <n>     Last row to process (default: auto-detect empty)
   --row, -r <n>         Process a single row only
   --dry-run, -d         Read data from sheet but don't submit in Gusto
+  --profile <name>      Sheet profile from profiles/<name>.json (default: a;
+                        --sheet-b is short for --profile b)
+  --source <spec>       Where rows come from: "sheets" (default), "sheets-api"
+                        or "file:<path.csv|xlsx>[,out=<path>]"
+  --no-dup-check        Don't search Gusto for an existing person before adding
+  --backfill-existing   Mark rows whose person already exists in Gusto as sent
+  --trace               Record a Chrome trace per row into artifacts/<runId>/
+  --no-cache            Don't skip rows the local cache says were already sent
+  --recover-cache       Load a corrupt row cache anyway, keeping the readable entries
   --help, -h            Show this help
 
+Config overrides (see "npm run config -- show"):
+  --config <file>       User config file (default ~/.config/gustoauto/config.json)
+${Object.entries(CLI_FLAGS).map(([flag, setting]) => `  ${flag.padEnd(22)}Sets ${setting}`).join('\n')}
+  --set <setting>=<v>   Any other setting, e.g. --set matching.threshold=0.9
+
 Examples:
   node src/index.js --row 2              # Test with just row 2
   node src/index.js -s 2 -e 5           # Process rows 2 through 5
   node src/index.js -s 2 -e 3 --dry-run # Read rows 2-3 without submitting
   node src/index.js -s 2                 # Process rows 2+ until empty row
+  node src/index.js --source file:contractors.xlsx  # Onboard from an HR export
+  node src/index.js -s 2 --start-date 2026-03-01 --batch-size 5
 `);
 }
 
+// ---------------------------------------------------------------------------
+// Outcome columns
+// ---------------------------------------------------------------------------
+
+/**
+ * Map an addContractor result to the optional outcome columns. Text is kept
+ * to one short line since the Sheets tab backend types it in cell by cell.
+ */
+function buildOutcome(result, runId) {
+  const oneLine = (text) => text.replace(/\s+/g, ' ').trim().slice(0, 200);
+  const fields = {
+    runId,
+    stepsCompleted: result.stepsCompleted.join(', '),
+    lastError: result.success ? '' : oneLine(result.errors.join('; ')),
+  };
+  if (result.success) fields.sentAt = new Date().toISOString();
+  if (result.personUrl) fields.gustoPerson = result.personUrl;
+  return fields;
+}
+
+// Gusto form field name -> the row field (and so the sheet column) it came from
+const GUSTO_FIELD_SOURCES = [
+  [/first.?name|last.?name/i, 'fullName'],
+  [/email/i, 'email'],
+  [/business.?name/i, 'businessName'],
+  [/\bein\b/i, 'ein'],
+  [/date|month|day|year/i, 'startDate'],
+  [/rate|amount|salary/i, 'payAmount'],
+  [/title/i, 'jobTitle'],
+  [/location/i, 'workLocation'],
+];
+
+/**
+ * Describe a Gusto validation error in terms of the sheet column to fix,
+ * e.g. 'Email (step basics_form): Email has already been taken'.
+ */
+function describeValidationError({ field, message, step }) {
+  const source = field && GUSTO_FIELD_SOURCES.find(([re]) => re.test(field))?.[1];
+  const where = (source && CONFIG.sheets.headers[source]) ?? field ?? 'form';
+  return `${where} (step ${step ?? 'unknown'}): ${message}`;
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
 async function main() {
   const opts = parseArgs();
+  const runId = makeRunId();
+
+  // Refuse a corrupt cache before touching the browser
+  configureCache({ recover: opts.recoverCache });
+  loadCache();
 
   log('info', '========================================');
   log('info', ' Gusto Contractor Automator');
   log('info', '========================================');
-  log('info', `Sheet: ${CONFIG.sheets.profileName}`);
-  log('info', `Config: startRow=${opts.startRow}, endRow=${opts.endRow ?? 'auto'}, dryRun=${opts.dryRun}, statusCol=${CONFIG.sheets.columns.status}, statusVal="${CONFIG.sheets.statusValue}"`);
+  log('info', `Run ID: ${runId}`);
+  log('info', `Config: startRow=${opts.startRow}, endRow=${opts.endRow ?? 'auto'}, dryRun=${opts.dryRun}, statusVal="${CONFIG.sheets.statusValue}"`);
 
   // Connect to Chrome
   const browser = await connectBrowser();
-  const sheetsPage = await findSheetsTab(browser);
+  const source = await openSource(opts.source, browser);
   const gustoPage = await findGustoTab(browser);
+  setCacheNamespace(source.cacheKey);
+  const forensics = attachForensics(gustoPage, runId, { trace: opts.trace && !opts.dryRun });
+  log('info', `Source: ${source.name}`);
+
+  log('ok', 'Source and Gusto tab ready. Reading rows...');
 
-  log('ok', 'Both tabs found. Starting automation...');
+  // Read every row up front; the source is only used for writes after this
+  const snapshot = await source.readRows(opts.startRow, opts.endRow);
+  const lastRow = opts.startRow + snapshot.size - 1;
+  log('info', `Columns: ${Object.entries(source.columns).map(([k, v]) => `${k}=${v}`).join(', ')}`);
   console.log('');
 
-  const results = { processed: 0, skipped: 0, cached: 0, failed: 0, errors: [] };
+  const results = { processed: 0, finalized: 0, skipped: 0, cached: 0, failed: 0, retried: 0, errors: [], alreadyExists: [] };
   const maxEmptyRows = 3;
   let consecutiveEmpty = 0;
 
   for (let row = opts.startRow; ; row++) {
     // Check bounds
     if (opts.endRow && row > opts.endRow) break;
+    if (row > lastRow) {
+      log('info', `Stopping: reached end of sheet at row ${lastRow}`);
+      break;
+    }
     if (!opts.endRow && consecutiveEmpty >= maxEmptyRows) {
       log('info', `Stopping: ${maxEmptyRows} consecutive empty rows detected at row ${row - maxEmptyRows}`);
       break;
     }
 
+    const record = snapshot.get(row) ?? { row, fullName: '', email: '', status: '' };
+    // Cache entries only count while the row still holds the same person
+    const fingerprint = rowFingerprint(record);
+
     // --- Fast path: check cache for already-sent rows ---
-    if (!opts.noCache) {
-      const cached = getCachedRow(row);
-      if (cached?.sent === true) {
-        log('info', `Row ${row}: cached as already sent (${cached.name ?? 'unknown'}), skipping`);
-        results.cached++;
-        consecutiveEmpty = 0;
-        continue;
-      }
+    const cached = opts.noCache ? null : getCachedRow(row, fingerprint);
+    if (cached?.sent === true) {
+      log('info', `Row ${row}: cached as already sent (${cached.name ?? 'unknown'}), skipping`);
+      results.cached++;
+      consecutiveEmpty = 0;
+      continue;
     }
 
     log('info', `--- Row ${row} ---`);
 
-    // Switch to Sheets and read data
-    await bringToFront(sheetsPage);
-    await shortDelay(80, 100);
-
     // Check if already completed
-    const done = await isRowCompleted(sheetsPage, row);
-    if (done) {
-      setCachedRow(row, { sent: true });
+    if (isStatusCompleted(record.status)) {
+      log('info', `Row ${row} already marked "${CONFIG.sheets.statusValue}", skipping`);
+      setCachedRow(row, { sent: true }, fingerprint);
       results.skipped++;
       consecutiveEmpty = 0;
       continue;
     }
 
-    // Read contractor data
-    const contractor = await readContractorRow(sheetsPage, row);
+    // Build contractor data
+    let contractor;
+    try {
+      contractor = toContractor(record);
+    } catch (err) {
+      consecutiveEmpty = 0;
+      results.failed++;
+      results.errors.push({ row, name: record.fullName, errors: [err.message], stepsCompleted: [] });
+      log('err', `Row ${row}: FAILED -- ${err.message}`);
+      await source.writeOutcome(row, { runId, lastError: err.message, stepsCompleted: '' });
+      continue;
+    }
     if (!contractor) {
       consecutiveEmpty++;
       log('warn', `Row ${row}: empty or missing data, skipping`);
-      setCachedRow(row, { sent: false, empty: true });
+      setCachedRow(row, { sent: false, empty: true }, fingerprint);
       results.skipped++;
       continue;
     }
     consecutiveEmpty = 0;
 
     // Cache name for verify script to reuse
-    setCachedRow(row, { name: contractor.fullName });
+    setCachedRow(row, { name: contractor.fullName }, fingerprint);
 
-    log('data', `Contractor: ${contractor.firstName} ${contractor.lastName} <${contractor.email}>`);
+    log('data', `Contractor: ${contractor.displayName} <${contractor.email}>`);
+
+    // A previous run marked this row in progress but never confirmed it
+    const pending = isStatusPending(record.status) || cached?.pending === true;
 
     if (opts.dryRun) {
-      log('info', `[DRY RUN] Would process ${contractor.firstName} ${contractor.lastName} -- skipping Gusto steps`);
+      if (pending) log('info', `[DRY RUN] Row ${row} is "${CONFIG.sheets.pendingValue}" -- would look it up in Gusto first`);
+      log('info', `[DRY RUN] Would process ${contractor.displayName} -- skipping Gusto steps`);
       results.processed++;
       continue;
     }
@@ -165,21 +286,76 @@ async function main() {
     await bringToFront(gustoPage);
     await shortDelay(80, 100);
 
-    const result = await addContractor(gustoPage, contractor);
+    if (pending) {
+      log('warn', `Row ${row}: left "${CONFIG.sheets.pendingValue}" by a previous run, checking Gusto before retrying`);
+    }
 
-    if (result.success) {
-      // Mark row as completed in Sheets
-      await bringToFront(sheetsPage);
-      await shortDelay(80, 100);
-      await markRowCompleted(sheetsPage, row);
-      setCachedRow(row, { sent: true, name: contractor.fullName });
+    // The worker-type column picks the Gusto flow for this row
+    const addPerson = contractor.workerType === 'employee' ? addEmployee : addContractor;
+
+    await forensics.beginRow(row);
+    const result = await addPerson(gustoPage, contractor, {
+      // Pending rows are always checked: the previous run may have got as far as sending the invite
+      checkExisting: pending || !opts.noDupCheck,
+      // ...but a person found without the invite having gone out (a half-created draft) isn't finished
+      confirmInvite: pending,
+
+      // Phase 1: record that this row is being worked on, so a crash mid-workflow
+      // is detected on the next run instead of inviting the person twice
+      beforeCreate: async () => {
+        await source.markPending(row);
+        setCachedRow(row, { pending: true, pendingRunId: runId }, fingerprint);
+        await bringToFront(gustoPage);
+        await shortDelay(80, 100);
+      },
+    });
+    await forensics.endRow(row);
+
+    const retries = (result.attempts ?? []).filter((a) => a.outcome !== 'ok');
+    if (retries.length > 0) {
+      results.retried++;
+      log('warn', `Row ${row}: ${retries.length} failed attempt(s): ${retries.map((a) => `${a.step}#${a.attempt} ${a.outcome}`).join(', ')}`);
+    }
+
+    if (result.status === 'already_exists') {
+      const where = `/people/${result.existing.where}, matched by ${result.existing.matchedBy}`;
+      if ((pending || opts.backfillExisting) && result.existing.inviteSent) {
+        await source.markSent(row);
+        await source.writeOutcome(row, buildOutcome({
+          success: true, stepsCompleted: ['already_in_gusto'], personUrl: result.existing.personUrl,
+        }, runId));
+        setCachedRow(row, { sent: true, pending: false, name: contractor.fullName }, fingerprint);
+        log('ok', `Row ${row}: already in Gusto (${where}) -- marked "${CONFIG.sheets.statusValue}" without re-inviting`);
+      } else {
+        await source.writeOutcome(row, { runId, lastError: `Already in Gusto (${where})` });
+        setCachedRow(row, { alreadyExists: true }, fingerprint);
+        log('warn', `Row ${row}: already in Gusto (${where}) -- skipped, status left as is (${opts.backfillExisting
+          ? 'no sign the invitation was sent, so not marked' : 'use --backfill-existing to mark it'})`);
+      }
+      if (pending) results.finalized++;
+      else results.alreadyExists.push({ row, name: result.name, where });
+    } else if (result.success) {
+      // Phase 2: mark row as completed in the source
+      await source.markSent(row);
+      await source.writeOutcome(row, buildOutcome(result, runId));
+      setCachedRow(row, { sent: true, pending: false, name: contractor.fullName }, fingerprint);
       results.processed++;
-      log('ok', `Row ${row}: DONE -- ${contractor.firstName} ${contractor.lastName}`);
+      log('ok', `Row ${row}: DONE -- ${contractor.displayName}`);
     } else {
       results.failed++;
-      results.errors.push({ row, name: result.name, errors: result.errors, stepsCompleted: result.stepsCompleted });
-      log('err', `Row ${row}: FAILED -- ${result.errors.join('; ')}`);
+      const artifacts = await forensics.captureFailure(row, result);
+      const validation = (result.validationErrors ?? []).map(describeValidationError);
+      results.errors.push({ row, name: result.name, errors: result.errors, kind: result.errorKind, validation, stepsCompleted: result.stepsCompleted, artifacts });
+      log('err', `Row ${row}: FAILED (${result.errorKind}) -- ${result.errors.join('; ')}`);
+      for (const v of validation) log('err', `  Fix in sheet: ${v}`);
       log('err', `  Steps completed before failure: ${result.stepsCompleted.join(', ')}`);
+      await source.writeOutcome(row, buildOutcome(result, runId));
+
+      // A login page or CAPTCHA blocks every row after this one too
+      if (result.errorKind === ErrorKind.NEEDS_HUMAN) {
+        log('err', `Stopping: Gusto needs a person at the keyboard (login or CAPTCHA). Sort it out in the automation Chrome and re-run from row ${row}.`);
+        break;
+      }
     }
 
     console.log('');
@@ -203,18 +379,35 @@ async function main() {
   log('info', ' Run Complete');
   log('info', '========================================');
   log('info', `Processed: ${results.processed}`);
+  log('info', `Finalized: ${results.finalized}`);
+  log('info', `Existing:  ${results.alreadyExists.length}`);
   log('info', `Skipped:   ${results.skipped}`);
   log('info', `Cached:    ${results.cached}`);
   log('info', `Failed:    ${results.failed}`);
+  log('info', `Retried:   ${results.retried}`);
+
+  if (results.alreadyExists.length > 0) {
+    log('warn', 'Rows already in Gusto (already_exists):');
+    for (const e of results.alreadyExists) {
+      log('warn', `  Row ${e.row} (${e.name}): ${e.where}`);
+    }
+  }
 
   if (results.errors.length > 0) {
     log('err', 'Failed rows:');
     for (const e of results.errors) {
-      log('err', `  Row ${e.row} (${e.name}): ${e.errors.join('; ')} [completed: ${e.stepsCompleted.join(', ')}]`);
+      log('err', `  Row ${e.row} (${e.name})${e.kind ? ` [${e.kind}]` : ''}: ${e.errors.join('; ')} [completed: ${e.stepsCompleted.join(', ')}]`);
+      for (const v of e.validation ?? []) log('err', `    Fix in sheet: ${v}`);
+      if (e.artifacts) {
+        const dir = path.relative(process.cwd(), e.artifacts.dir);
+        log('err', `    Artifacts: ${e.artifacts.files.map((f) => path.join(dir, f)).join(', ')}`);
+      }
     }
   }
 
   // Disconnect (doesn't close Chrome)
+  forensics.detach();
+  await source.close();
   browser.disconnect();
   log('info', 'Disconnected from Chrome (browser remains open)');
 }
@@ -0,0 +1,186 @@
+import { CONFIG } from '../config.js';
+
+// Left out of surname comparisons while another surname token remains:
+// "Maria de la Rosa" ~ "Maria Rosa", "Luis Perez Jr" ~ "Luis Perez", but "Wei Du" keeps "du"
+const PARTICLES = new Set(['de', 'la', 'del', 'della', 'di', 'da', 'el', 'al', 'van', 'von', 'der', 'den', 'bin', 'ben', 'le', 'du', 'dos', 'das', 'st']);
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii']);
+// Surnames shorter than this must match exactly; "Chen" / "Chan" are different people
+const FUZZY_SURNAME_MIN = 6;
+
+// ---------------------------------------------------------------------------
+// Normalisation
+// ---------------------------------------------------------------------------
+
+/** Lowercase, strip accents ("José" -> "jose") and apostrophes, collapse whitespace. */
+export function foldName(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Comparable name tokens: accents folded, hyphens and punctuation split
+ * ("Sullivan-Westover" -> sullivan, westover). Particles and suffixes after the
+ * first name are dropped, unless that would leave no surname ("Van Le" stays
+ * van, le). Nicknames in brackets or double quotes ("Robert (Bob) Smith") are returned
+ * separately as aliases for the first name.
+ */
+export function nameTokens(name) {
+  const folded = foldName(name);
+  const aliases = [...folded.matchAll(/[("“]([^)"”]+)[)"”]/g)].map((m) => m[1].trim()).filter(Boolean);
+  const [first, ...rest] = folded
+    .replace(/[("“][^)"”]*[)"”]/g, ' ')
+    .split(/[\s\-.,]+/)
+    .filter(Boolean);
+  if (first === undefined) return { tokens: [], aliases };
+
+  const surname = rest.filter((t) => !PARTICLES.has(t) && !SUFFIXES.has(t));
+  return { tokens: [first, ...(surname.length > 0 ? surname : rest)], aliases };
+}
+
+// ---------------------------------------------------------------------------
+// Similarity
+// ---------------------------------------------------------------------------
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** First names match exactly, or as an initial ("j" / "james"); no spelling slack. */
+function firstNameSimilarity(a, b) {
+  if (a === b) return 1;
+  if ((a.length === 1 || b.length === 1) && a[0] === b[0]) return 0.9;
+  return 0;
+}
+
+/** Surnames match exactly; long ones may differ by one typo ("Sullivan" / "Sulivan"). */
+function surnameSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < FUZZY_SURNAME_MIN || levenshtein(a, b) > 1) return 0;
+  return 1 - 1 / Math.max(a.length, b.length);
+}
+
+/**
+ * Compare two full names. Returns { score, comparable, typo }: `comparable` is
+ * false when the first names or surnames don't match at all, `typo` is true
+ * when the surnames only match with a typo allowed.
+ */
+function compareNames(a, b) {
+  const A = nameTokens(a);
+  const B = nameTokens(b);
+  const none = { score: 0, comparable: false, typo: false };
+  if (A.tokens.length === 0 || B.tokens.length === 0) {
+    return foldName(a) !== '' && foldName(a) === foldName(b) ? { score: 1, comparable: true, typo: false } : none;
+  }
+
+  const sortedA = [...A.tokens].sort().join(' ');
+  const sortedB = [...B.tokens].sort().join(' ');
+  if (sortedA === sortedB) return { score: 1, comparable: true, typo: false };
+
+  const [shorter, longer] = A.tokens.length <= B.tokens.length ? [A.tokens, B.tokens] : [B.tokens, A.tokens];
+  if (shorter.length >= 2 && shorter[0] === longer[0] && shorter.at(-1) === longer.at(-1)
+      && shorter.every((t) => longer.includes(t))) {
+    return { score: 0.95, comparable: true, typo: false };
+  }
+
+  const firstsA = [A.tokens[0], ...A.aliases];
+  const firstsB = [B.tokens[0], ...B.aliases];
+  const first = Math.max(...firstsA.flatMap((x) => firstsB.map((y) => firstNameSimilarity(x, y))));
+
+  // Surname: last token against every non-first token on the other side, both ways
+  const lastsA = A.tokens.length > 1 ? A.tokens.slice(1) : A.tokens;
+  const lastsB = B.tokens.length > 1 ? B.tokens.slice(1) : B.tokens;
+  const last = Math.max(
+    ...lastsB.map((y) => surnameSimilarity(A.tokens.at(-1), y)),
+    ...lastsA.map((x) => surnameSimilarity(x, B.tokens.at(-1))),
+  );
+
+  return { score: 0.45 * first + 0.55 * last, comparable: first > 0 && last > 0, typo: last > 0 && last < 1 };
+}
+
+/**
+ * Similarity of two full names, 0..1.
+ *   1.0   same tokens (order, accents, hyphens and particles ignored)
+ *   0.95  one name is the other plus middle names ("Ann Marie Lee" / "Ann Lee")
+ *   else  weighted first-name and last-name similarity, where the first name
+ *         must match exactly, as an initial or as a bracketed nickname, and
+ *         the last name may be any part of a compound surname
+ * A different first name ("Mark" / "Mary") or short surname scores at most 0.55.
+ */
+export function nameSimilarity(a, b) {
+  return compareNames(a, b).score;
+}
+
+// ---------------------------------------------------------------------------
+// Matching a person against a list
+// ---------------------------------------------------------------------------
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase() || null;
+}
+
+/**
+ * Find `who` ({ email, name }) among `people` ([{ name, email, ... }]).
+ * Email wins outright. Otherwise every person is scored by nameSimilarity;
+ * the best one counts if its first name and surname both match, it reaches
+ * CONFIG.matching.threshold and no other distinct person scores within
+ * CONFIG.matching.ambiguityMargin of it. A surname that only matches with a
+ * typo is never enough on its own: without a matching email it is ambiguous.
+ *
+ * Returns one of:
+ *   { status: 'matched', matchedBy: 'email' | 'name', person, score }
+ *   { status: 'ambiguous', candidates: [{ person, score }], reason? }
+ *   { status: 'none' }
+ */
+export function matchPerson(people, { email, name }) {
+  const wantedEmail = normalizeEmail(email);
+  if (wantedEmail) {
+    const person = people.find((p) => normalizeEmail(p.email) === wantedEmail);
+    if (person) return { status: 'matched', matchedBy: 'email', person, score: 1 };
+  }
+  if (!name) return { status: 'none' };
+
+  const { threshold, ambiguityMargin } = CONFIG.matching;
+  const scored = people
+    .map((person) => ({ person, ...compareNames(name, person.name) }))
+    .filter((c) => c.comparable && c.score >= threshold)
+    .sort((x, y) => y.score - x.score);
+  if (scored.length === 0) return { status: 'none' };
+
+  // The same person listed twice (same email) is not a competing match
+  const [best] = scored;
+  const rivals = scored.slice(1).filter((c) => best.score - c.score < ambiguityMargin
+    && !(c.person.email && normalizeEmail(c.person.email) === normalizeEmail(best.person.email)));
+  const candidates = [best, ...rivals].map(({ person, score }) => ({ person, score }));
+
+  if (rivals.length > 0) return { status: 'ambiguous', candidates };
+  // A typo'd surname may well be a different person; only a matching email (checked above) would settle it
+  if (best.typo) {
+    const email = wantedEmail ? `Gusto has ${best.person.email ?? 'no email'}` : 'the row has no email';
+    return { status: 'ambiguous', candidates, reason: `surname only matches with a typo and ${email}` };
+  }
+  // A name-only match on someone with a different email may well be a different person
+  if (wantedEmail && best.person.email) {
+    return { status: 'ambiguous', candidates, reason: `name matches but Gusto has ${best.person.email}` };
+  }
+  return { status: 'matched', matchedBy: 'name', person: best.person, score: best.score };
+}
+
+/** One-line description of ambiguous candidates, for logs and sheet cells. */
+export function describeCandidates(candidates) {
+  return candidates
+    .map(({ person, score }) => `${person.name}${person.email ? ` <${person.email}>` : ''} (${score.toFixed(2)})`)
+    .join(', ');
+}
@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+// Optional columns for per-row outcome details. Any that are missing from the
+// sheet are simply not written.
+const OUTCOME_HEADERS = {
+  sentAt: 'Gusto Sent At',
+  runId: 'Gusto Run ID',
+  gustoPerson: 'Gusto Person',
+  lastError: 'Gusto Last Error',
+  stepsCompleted: 'Gusto Steps Completed',
+  onboardingOutstanding: 'Gusto Onboarding Outstanding',
+};
+
+// Optional per-contractor overrides. Blank cells fall back to CONFIG.gusto defaults.
+const CONTRACTOR_HEADERS = {
+  workerType: 'Worker Type',
+  businessName: 'Business Name',
+  ein: 'EIN',
+  startDate: 'Start Date',
+  wageType: 'Wage Type',
+  payAmount: 'Pay Amount',
+  jobTitle: 'Job Title',
+  workLocation: 'Work Location',
+  paySchedule: 'Pay Schedule',
+};
+
+const REQUIRED_HEADERS = ['fullName', 'email', 'status', 'gustoCompleted'];
+
+// Every key a profile file may set; values are [required, default]
+const FIELDS = {
+  name: [true],
+  urlFragment: [true],
+  gid: [true],
+  headerRow: [false, 1],
+  headers: [true],
+  columns: [false, {}],
+  statusValue: [true],
+  pendingValue: [false, 'IN PROGRESS'],
+  completedYes: [true],
+  completedNo: [true],
+  completedAmbiguous: [false, 'AMBIGUOUS'],
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const isText = (v) => typeof v === 'string' && v.trim() !== '';
+
+/**
+ * Check a parsed profile file and return a list of problems (empty if valid).
+ */
+export function validateProfile(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['must be a JSON object'];
+
+  for (const key of Object.keys(raw)) {
+    if (!(key in FIELDS)) problems.push(`unknown key "${key}" (expected one of ${Object.keys(FIELDS).join(', ')})`);
+  }
+  for (const [key, [required]] of Object.entries(FIELDS)) {
+    if (required && raw[key] === undefined) problems.push(`"${key}" is required`);
+  }
+
+  if (raw.name !== undefined && !isText(raw.name)) problems.push('"name" must be a non-empty string');
+  if (raw.urlFragment !== undefined && !/docs\.google\.com\/spreadsheets\/d\/[\w-]+$/.test(raw.urlFragment)) {
+    problems.push('"urlFragment" must look like "docs.google.com/spreadsheets/d/<spreadsheet id>"');
+  }
+  if (raw.gid !== undefined && !/^\d+$/.test(String(raw.gid))) problems.push('"gid" must be the numeric sheet ID from the URL (#gid=...)');
+  if (raw.headerRow !== undefined && !(Number.isInteger(raw.headerRow) && raw.headerRow >= 1)) problems.push('"headerRow" must be a row number (1 or more)');
+
+  const headers = raw.headers ?? {};
+  const columns = raw.columns ?? {};
+  if (typeof headers !== 'object' || Array.isArray(headers)) problems.push('"headers" must map fields to header text');
+  else {
+    for (const [field, text] of Object.entries(headers)) {
+      if (!isText(text)) problems.push(`headers.${field} must be non-empty header text`);
+    }
+  }
+  if (typeof columns !== 'object' || Array.isArray(columns)) problems.push('"columns" must map fields to column letters');
+  else {
+    for (const [field, letter] of Object.entries(columns)) {
+      if (!/^[A-Z]{1,3}$/.test(String(letter))) problems.push(`columns.${field} must be a column letter like "F", not "${letter}"`);
+    }
+  }
+  for (const field of REQUIRED_HEADERS) {
+    if (!headers[field] && !columns[field]) problems.push(`required column ${field} needs a header in "headers" or a letter in "columns"`);
+  }
+
+  for (const key of ['statusValue', 'pendingValue', 'completedYes', 'completedNo', 'completedAmbiguous']) {
+    if (raw[key] !== undefined && !isText(raw[key])) problems.push(`"${key}" must be a non-empty string`);
+  }
+  const same = (a, b) => isText(raw[a]) && isText(raw[b]) && raw[a].toLowerCase() === raw[b].toLowerCase();
+  if (same('statusValue', 'pendingValue')) problems.push('"statusValue" and "pendingValue" must differ');
+  if (same('completedYes', 'completedNo')) problems.push('"completedYes" and "completedNo" must differ');
+
+  return problems;
+}
+
+/** A valid profile file with defaults filled in and the shared optional headers added. */
+function withDefaults(raw) {
+  const profile = {};
+  for (const [key, [, fallback]] of Object.entries(FIELDS)) {
+    profile[key] = raw[key] ?? (typeof fallback === 'object' ? { ...fallback } : fallback);
+  }
+  profile.gid = String(profile.gid);
+  // The profile's own headers come first (and win); the shared optional ones fill in the rest
+  profile.headers = { ...raw.headers, ...CONTRACTOR_HEADERS, ...OUTCOME_HEADERS, ...raw.headers };
+  return profile;
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Read every profiles/*.json. Returns [{ key, file, profile, problems }],
+ * where key is the file name without ".json" and profile is null if the file
+ * is invalid.
+ */
+export function loadProfiles(dir = PROFILES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => {
+      const file = path.join(dir, f);
+      const key = path.basename(f, '.json');
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (err) {
+        return { key, file, profile: null, problems: [`not valid JSON: ${err.message}`] };
+      }
+      const problems = validateProfile(raw);
+      return { key, file, profile: problems.length ? null : withDefaults(raw), problems };
+    });
+}
+
+/**
+ * Load and validate the named profile. Throws with every problem found, or
+ * with the available names if there is no such profile.
+ */
+export function loadProfile(key, dir = PROFILES_DIR) {
+  const all = loadProfiles(dir);
+  const found = all.find((p) => p.key === key);
+  if (!found) {
+    const names = all.map((p) => p.key).join(', ') || 'none';
+    throw new Error(`Unknown sheet profile "${key}" (profiles in ${dir}: ${names})`);
+  }
+  if (found.problems.length) {
+    throw new Error(`Sheet profile "${key}" (${found.file}) is invalid:\n  - ${found.problems.join('\n  - ')}`);
+  }
+  return found.profile;
+}
+
+/**
+ * The profile named on the command line: --profile <name>, or --sheet-b as
+ * shorthand for --profile b. Defaults to "a".
+ */
+export function selectedProfileKey(argv = process.argv) {
+  const i = argv.indexOf('--profile');
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  return argv.includes('--sheet-b') ? 'b' : 'a';
+}
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Only profiles.js is imported (not config.js), so a broken profile can still be listed
+import { loadProfiles, selectedProfileKey, PROFILES_DIR } from './profiles.js';
+import { log } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// CLI argument parsing
+// ---------------------------------------------------------------------------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case 'list':
+        opts.command = args[i]; break;
+      case '--help': case '-h':
+        printUsage(); process.exit(0);
+    }
+  }
+
+  if (!opts.command) {
+    printUsage();
+    process.exit(1);
+  }
+  return opts;
+}
+
+function printUsage() {
+  console.log(`
+Gusto Sheet Profiles
+====================
+
+Usage:
+  node src/profilesCli.js <command>
+
+Commands:
+  list                  Print every profile in profiles/*.json and check each one
+
+Options:
+  --help, -h            Show this help
+
+Select a profile for a run with --profile <name> (the file name without .json).
+
+Examples:
+  npm run profiles -- list
+`);
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+function runList() {
+  const profiles = loadProfiles();
+  if (profiles.length === 0) {
+    log('err', `No profiles found in ${PROFILES_DIR}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const active = selectedProfileKey();
+  for (const { key, file, profile, problems } of profiles) {
+    const marker = key === active ? '*' : ' ';
+    if (profile) {
+      console.log(`${marker} ${key.padEnd(16)} ${profile.name}`);
+      console.log(`    ${profile.urlFragment}#gid=${profile.gid}`);
+      console.log(`    sent="${profile.statusValue}" pending="${profile.pendingValue}" completed="${profile.completedYes}"/"${profile.completedNo}"`);
+    } else {
+      console.log(`${marker} ${key.padEnd(16)} INVALID (${file})`);
+      for (const problem of problems) console.log(`    - ${problem}`);
+    }
+  }
+
+  console.log('');
+  const invalid = profiles.filter((p) => !p.profile).length;
+  log(invalid ? 'err' : 'ok', `${profiles.length} profile(s), ${invalid} invalid; * = default for this command line`);
+  if (invalid) process.exitCode = 1;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const opts = parseArgs();
+if (opts.command === 'list') runList();
@@ -0,0 +1,119 @@
+import { CONFIG } from '../config.js';
+import { log, sleep, randomBetween } from './utils.js';
+
+/**
+ * How a failure should be handled:
+ *   transient   -- page glitch (timeout, stuck "Loading", detached frame); retry the step
+ *   needs_human -- a login page or CAPTCHA is in the way; stop and let someone fix it
+ *   fatal       -- retrying won't help (Gusto rejected the data, unknown page, ...)
+ */
+export const ErrorKind = {
+  TRANSIENT: 'transient',
+  NEEDS_HUMAN: 'needs_human',
+  FATAL: 'fatal',
+};
+
+const TRANSIENT_MESSAGES = [
+  /timeout|timed out/i,
+  /detached/i,
+  /execution context was destroyed/i,
+  /target closed|session closed/i,
+  /net::ERR_/,
+  /\bloading\b/i,
+];
+
+const NEEDS_HUMAN_URLS = /\/(login|sign_in|signin|two_factor|mfa)\b|accounts\.google\.com/i;
+const NEEDS_HUMAN_TEXT = /captcha|verify (that )?you are (a )?human|are you a robot|session (has )?expired|(log|sign) in to continue/i;
+
+// ---------------------------------------------------------------------------
+// Tagging: code that knows why it failed sets the kind up front
+// ---------------------------------------------------------------------------
+
+export function tagError(error, kind) {
+  if (!error.kind) error.kind = kind;
+  return error;
+}
+
+export function transientError(message) {
+  return tagError(new Error(message), ErrorKind.TRANSIENT);
+}
+
+export function needsHumanError(message) {
+  return tagError(new Error(message), ErrorKind.NEEDS_HUMAN);
+}
+
+export function fatalError(message) {
+  return tagError(new Error(message), ErrorKind.FATAL);
+}
+
+/**
+ * Classify an error. A kind set with tagError wins; otherwise the page is
+ * checked for a login/CAPTCHA wall first (a timeout there is not transient),
+ * then the message is matched against known transient failures. Anything
+ * unrecognised is fatal so it is never retried blindly.
+ */
+export async function classifyError(error, page = null) {
+  if (error?.kind) return error.kind;
+
+  if (page) {
+    const url = (() => { try { return page.url(); } catch { return ''; } })();
+    const text = await page.evaluate(() => document.body?.innerText?.slice(0, 3000) || '').catch(() => '');
+    if (NEEDS_HUMAN_URLS.test(url) || NEEDS_HUMAN_TEXT.test(text)) return ErrorKind.NEEDS_HUMAN;
+  }
+
+  if (error?.name === 'TimeoutError') return ErrorKind.TRANSIENT;
+  if (TRANSIENT_MESSAGES.some((re) => re.test(error?.message ?? ''))) return ErrorKind.TRANSIENT;
+  return ErrorKind.FATAL;
+}
+
+// ---------------------------------------------------------------------------
+// Retry loop
+// ---------------------------------------------------------------------------
+
+/** Exponential backoff with jitter: base, 2x base, 4x base ... capped at maxDelay. */
+export function backoffDelay(attempt) {
+  const { baseDelay, maxDelay } = CONFIG.retry;
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  return delay + randomBetween(0, Math.floor(delay / 4));
+}
+
+/**
+ * Run fn(attempt), retrying transient failures with backoff. Every attempt is
+ * appended to `attempts` as { step, attempt, outcome, error, at }, where
+ * outcome is 'ok' or the error kind. `step` may be a function, for steps
+ * whose name is only known once fn has started.
+ *
+ * beforeRetry(error, attempt) runs after the backoff, e.g. to reload the page.
+ * Non-transient errors, and the last transient one, are rethrown with `kind` set.
+ */
+export async function withRetry(fn, {
+  step,
+  page = null,
+  attempts = [],
+  maxAttempts = CONFIG.retry.maxAttempts,
+  beforeRetry = null,
+} = {}) {
+  const stepName = () => (typeof step === 'function' ? step() : step);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await fn(attempt);
+      attempts.push({ step: stepName(), attempt, outcome: 'ok', error: null, at: new Date().toISOString() });
+      return value;
+    } catch (error) {
+      const kind = await classifyError(error, page);
+      tagError(error, kind);
+      attempts.push({ step: stepName(), attempt, outcome: kind, error: error.message, at: new Date().toISOString() });
+
+      if (kind !== ErrorKind.TRANSIENT || attempt >= maxAttempts) throw error;
+
+      const delay = backoffDelay(attempt);
+      log('warn', `  ${stepName()}: transient failure (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+      log('info', `  Retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+      if (beforeRetry) {
+        await beforeRetry(error, attempt).catch((err) => log('warn', `  Recovery before retry failed: ${err.message}`));
+      }
+    }
+  }
+}
@@ -0,0 +1,242 @@
+import { CONFIG } from '../config.js';
+import { log } from './utils.js';
+import { transientError } from './retry.js';
+
+const GUSTO_BASE = 'https://app.gusto.com';
+export const ADD_PERSON_URL = `${GUSTO_BASE}/people/add_team_member/basics`;
+
+/**
+ * Pages the registry's elements live on. Pages with a `url` are visited by
+ * `selectors check`; `wizard` pages are only reachable part-way through adding
+ * someone, so they are checked only when the Gusto tab is already on one.
+ * `personProfile` depends on who is opened and is not checked.
+ */
+export const PAGES = {
+  sheet: { tab: 'sheets', label: 'Google Sheets tab' },
+  addPerson: { tab: 'gusto', label: 'Add person (basics)', url: () => ADD_PERSON_URL },
+  peopleAll: { tab: 'gusto', label: 'People: all', url: () => CONFIG.gusto.allPeopleUrl },
+  peopleOnboarding: { tab: 'gusto', label: 'People: onboarding', url: () => CONFIG.gusto.onboardingUrl },
+  wizard: { tab: 'gusto', label: 'Add person wizard (later steps)' },
+  personProfile: { tab: 'gusto', label: 'Person profile (onboarding checklist)' },
+};
+
+// ---------------------------------------------------------------------------
+// Registry: logical element -> pages it appears on + selectors, best first.
+// `optional` elements may legitimately be missing from their page.
+// When Gusto or Sheets changes its markup, add the new selector at the front
+// and keep the old ones as fallbacks until `npm run selectors -- check` shows
+// they no longer match.
+// ---------------------------------------------------------------------------
+
+export const SELECTORS = {
+  // Google Sheets
+  nameBox: {
+    pages: ['sheet'],
+    candidates: ['input[aria-label="Name Box"]', 'input[id=":3"]', 'input[id=":2"]', 'input[id=":1"]', 'input[id=":4"]'],
+  },
+  formulaBar: {
+    pages: ['sheet'],
+    candidates: [
+      '#formula_bar_id [contenteditable="true"]',
+      '[aria-label="Formula input"]',
+      '.cell-input',
+      '[id=":5"]',
+      '[role="textbox"][aria-label*="ormula"]',
+    ],
+  },
+
+  // Add person: basics form
+  firstNameInput: {
+    pages: ['addPerson'],
+    candidates: ['input[name="firstName"]', 'input[autocomplete="given-name"]', 'input[aria-label*="first name" i]'],
+  },
+  lastNameInput: {
+    pages: ['addPerson'],
+    candidates: ['input[name="lastName"]', 'input[autocomplete="family-name"]', 'input[aria-label*="last name" i]'],
+  },
+  emailInput: {
+    pages: ['addPerson'],
+    candidates: ['input[name="email"]', 'input[type="email"]', 'input[aria-label*="email" i]'],
+  },
+  workerTypeIndividual: {
+    pages: ['addPerson'],
+    candidates: ['input[name="workerType"][value="individual_contractor"]', 'input[type="radio"][value="individual_contractor"]'],
+  },
+  workerTypeBusiness: {
+    pages: ['addPerson'],
+    candidates: ['input[name="workerType"][value="business_contractor"]', 'input[type="radio"][value="business_contractor"]'],
+  },
+  workerTypeEmployee: {
+    pages: ['addPerson'],
+    candidates: ['input[name="workerType"][value="employee"]', 'input[type="radio"][value="employee"]'],
+  },
+  submitButton: {
+    pages: ['addPerson'],
+    candidates: ['button[type="submit"]', 'form button:not([type="button"])'],
+  },
+
+  // Add person: later wizard steps (business fields only appear once Business is picked)
+  businessNameInput: {
+    pages: ['wizard'],
+    candidates: ['input[name="businessName"]', 'input[aria-label*="business name" i]'],
+  },
+  einInput: {
+    pages: ['wizard'],
+    candidates: ['input[name="ein"]', 'input[aria-label*="EIN"]', 'input[placeholder*="XX-XXXXXXX"]'],
+  },
+  startDateMonth: {
+    pages: ['wizard'],
+    candidates: ['input[aria-label="Month (mm)"]', 'input[placeholder="mm"]'],
+  },
+  startDateDay: {
+    pages: ['wizard'],
+    candidates: ['input[aria-label="Day (dd)"]', 'input[placeholder="dd"]'],
+  },
+  startDateYear: {
+    pages: ['wizard'],
+    candidates: ['input[aria-label="Year (yyyy)"]', 'input[placeholder="yyyy"]'],
+  },
+  startDateInput: {
+    pages: ['wizard'],
+    candidates: ['input[name="startDate"]', 'input[name*="date" i]'],
+  },
+  // Either date layout; only used to recognise the role page
+  startDateField: {
+    pages: ['wizard'],
+    candidates: ['input[aria-label="Month (mm)"]', 'input[placeholder="mm"]', 'input[name="startDate"]'],
+  },
+  wageTypeRadio: {
+    pages: ['wizard'],
+    candidates: ['input[type="radio"]', '[role="radio"]'],
+  },
+  amountInput: {
+    pages: ['wizard'],
+    candidates: ['input[name*="amount" i]', 'input[aria-label*="amount" i]'],
+  },
+  hourlyRateInput: {
+    pages: ['wizard'],
+    candidates: ['input[name*="rate" i]', 'input[aria-label*="rate" i]', 'input[placeholder*="rate" i]', 'input[name*="hourly" i]'],
+  },
+  jobTitleInput: {
+    pages: ['wizard'],
+    candidates: ['input[name*="title" i]', 'input[aria-label*="job title" i]'],
+  },
+  workLocationField: {
+    pages: ['wizard'],
+    candidates: ['select[name*="location" i]', '[role="combobox"][aria-label*="location" i]', 'input[name*="location" i]'],
+  },
+  employeePayRateInput: {
+    pages: ['wizard'],
+    candidates: ['input[name*="rate" i]', 'input[name*="amount" i]', 'input[aria-label*="rate" i]', 'input[aria-label*="amount" i]'],
+  },
+
+  // Inline validation messages shown after a rejected submit (normally absent)
+  fieldError: {
+    pages: ['wizard'],
+    candidates: ['[id$="-error" i]', '[class*="field-error" i]', '[class*="error-message" i]', '[class*="errorMessage"]', '.invalid-feedback'],
+  },
+  // Only inside the form: toasts ("Saved") and session banners elsewhere on the page are not rejections
+  formError: {
+    pages: ['wizard'],
+    candidates: ['form [role="alert"]', 'form [class*="alert" i][class*="error" i]', 'form [class*="alert" i][class*="danger" i]', 'form [class*="banner" i][class*="error" i]'],
+  },
+
+  // People lists
+  searchInput: {
+    pages: ['peopleAll', 'peopleOnboarding'],
+    candidates: ['input[type="search"]', 'input[placeholder*="Search" i]', 'input[aria-label*="search" i]'],
+  },
+  personRow: {
+    pages: ['peopleAll'],
+    candidates: ['tr', '[role="row"]', '[data-testid*="person"]', '[data-testid*="employee"]', '[data-testid*="member"]'],
+  },
+  onboardingRow: {
+    pages: ['peopleOnboarding'],
+    candidates: ['tr', '[role="row"]', '[role="listitem"]', 'li'],
+  },
+  personNameLink: {
+    pages: ['peopleAll', 'peopleOnboarding'],
+    candidates: ['a[href*="/people/"]', 'a[href*="/employees/"]', 'a[href*="/contractors/"]'],
+  },
+  statusBadge: {
+    pages: ['peopleAll'],
+    candidates: ['[data-testid*="status" i]', '[class*="badge" i]', '[class*="status" i]', '[class*="pill" i]'],
+  },
+  onboardingProgress: {
+    pages: ['peopleOnboarding'],
+    optional: true,
+    candidates: ['[role="progressbar"][aria-valuenow]', 'progress[value]'],
+  },
+  // Absent when a list fits on one page
+  nextPageButton: {
+    pages: ['peopleAll', 'peopleOnboarding'],
+    optional: true,
+    candidates: ['[rel="next"]', 'button[aria-label*="next page" i]', 'a[aria-label*="next page" i]', 'button[aria-label="Next"]', '[data-testid*="next" i]'],
+  },
+
+  // Onboarding checklist on a person's page; gone once onboarding is complete
+  checklistItem: {
+    pages: ['personProfile'],
+    optional: true,
+    candidates: [
+      '[data-testid*="checklist" i] li',
+      '[class*="checklist" i] li',
+      '[data-testid*="onboarding-step" i]',
+      '[class*="onboarding" i] [role="listitem"]',
+    ],
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+const reportedFallbacks = new Set();
+
+/** Selectors for a logical element, best first. */
+export function candidates(name) {
+  const entry = SELECTORS[name];
+  if (!entry) throw new Error(`Unknown selector "${name}"`);
+  return entry.candidates;
+}
+
+/** One CSS selector list matching any candidate, for waitForSelector and presence checks. */
+export function anyOf(name) {
+  return candidates(name).join(', ');
+}
+
+/**
+ * Return { selector, index } for the first candidate present on the page
+ * (and visible, if asked), or null if none is.
+ */
+export async function resolve(page, name, { visible = false } = {}) {
+  const list = candidates(name);
+  for (let index = 0; index < list.length; index++) {
+    const handle = await page.$(list[index]);
+    if (!handle) continue;
+    const ok = !visible || await handle.isVisible();
+    await handle.dispose();
+    if (ok) return { selector: list[index], index };
+  }
+  return null;
+}
+
+/**
+ * Wait for a logical element and return the concrete selector that matched.
+ * A fallback match is logged once per element per run, so UI drift shows up
+ * in the log before the last fallback stops working too.
+ */
+export async function find(page, name, { timeout = 10000, visible = true } = {}) {
+  const list = candidates(name);
+  await page.waitForSelector(anyOf(name), { timeout, visible })
+    .catch(() => { throw transientError(`${name} not found on ${page.url()} (tried ${list.join(' | ')})`); });
+
+  const hit = await resolve(page, name, { visible });
+  if (!hit) throw new Error(`${name} disappeared from ${page.url()} while resolving`);
+
+  if (hit.index > 0 && !reportedFallbacks.has(name)) {
+    reportedFallbacks.add(name);
+    log('warn', `  Selector ${name}: primary "${list[0]}" missed, using fallback #${hit.index} "${hit.selector}"`);
+  }
+  return hit.selector;
+}
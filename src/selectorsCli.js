@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+import { connectBrowser, findSheetsTab, findGustoTab } from './browser.js';
+import { PAGES, SELECTORS } from './selectors.js';
+import { log, waitForStableDOM } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// CLI argument parsing
+// ---------------------------------------------------------------------------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: null, noNavigate: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case 'check':
+      case 'list':
+        opts.command = args[i]; break;
+      case '--no-navigate':
+        opts.noNavigate = true; break;
+      case '--help': case '-h':
+        printUsage(); process.exit(0);
+    }
+  }
+
+  if (!opts.command) {
+    printUsage();
+    process.exit(1);
+  }
+  return opts;
+}
+
+function printUsage() {
+  console.log(`
+Gusto Selector Registry
+=======================
+
+Usage:
+  node src/selectorsCli.js <command> [options]
+
+Commands:
+  list                  Print every logical element and its selectors, best first
+  check                 Visit each page in the open Sheets and Gusto tabs and report
+                        which elements resolve and which fallback matched
+
+Options:
+  --no-navigate         Only check the pages the tabs are already on
+  --help, -h            Show this help
+
+Examples:
+  npm run selectors -- check
+  npm run selectors -- list
+`);
+}
+
+// ---------------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------------
+
+function elementsOn(pageKey) {
+  return Object.entries(SELECTORS).filter(([, entry]) => entry.pages.includes(pageKey));
+}
+
+/**
+ * For each element on this page, find which candidates match. Returns
+ * [{ name, matched: [indexes], status: 'ok' | 'fallback' | 'missing' | 'absent' }],
+ * where 'absent' is an optional element that isn't there.
+ */
+async function checkElements(page, pageKey) {
+  const report = [];
+  for (const [name, entry] of elementsOn(pageKey)) {
+    const matched = [];
+    for (let i = 0; i < entry.candidates.length; i++) {
+      if (await page.$(entry.candidates[i])) matched.push(i);
+    }
+    const status = matched.length > 0 ? (matched[0] === 0 ? 'ok' : 'fallback') : entry.optional ? 'absent' : 'missing';
+    report.push({ name, matched, status });
+  }
+  return report;
+}
+
+function printReport(pageKey, report, { optional = false } = {}) {
+  log('info', `--- ${PAGES[pageKey].label} ---`);
+  for (const { name, matched, status } of report) {
+    const { candidates } = SELECTORS[name];
+    if (status === 'ok') {
+      log('ok', `  ${name}: "${candidates[0]}"`);
+    } else if (status === 'fallback') {
+      log('warn', `  ${name}: primary missed, fallback #${matched[0]} matched "${candidates[matched[0]]}"`);
+    } else if (status === 'absent') {
+      log('info', `  ${name}: not on this page (optional)`);
+    } else {
+      log(optional ? 'info' : 'err', `  ${name}: ${optional ? 'not on this page' : 'NOT FOUND'} (tried ${candidates.length} selectors)`);
+    }
+  }
+}
+
+async function visit(page, url) {
+  log('step', `Opening ${url}`);
+  await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
+  await waitForStableDOM(page, 300, 8000);
+}
+
+async function runCheck(opts) {
+  const browser = await connectBrowser();
+  const totals = { ok: 0, fallback: 0, missing: 0, absent: 0 };
+  const tally = (report) => report.forEach(({ status }) => totals[status]++);
+
+  // Google Sheets tab: never navigated, only read
+  try {
+    const sheetsPage = await findSheetsTab(browser);
+    const report = await checkElements(sheetsPage, 'sheet');
+    printReport('sheet', report);
+    tally(report);
+  } catch (err) {
+    log('warn', `Skipping ${PAGES.sheet.label}: ${err.message}`);
+  }
+
+  const gustoPage = await findGustoTab(browser);
+  const startUrl = gustoPage.url();
+
+  // Wizard elements can only be checked on the page the tab is already on.
+  // They are informational: most of them belong to one step only.
+  const wizardReport = await checkElements(gustoPage, 'wizard');
+  printReport('wizard', wizardReport, { optional: true });
+  log('info', `  (checked on ${startUrl}; open a draft's later step to check the rest)`);
+
+  for (const [pageKey, { tab, url }] of Object.entries(PAGES)) {
+    if (tab !== 'gusto' || !url) continue;
+    if (opts.noNavigate) {
+      if (!gustoPage.url().startsWith(url())) {
+        log('info', `Skipping ${PAGES[pageKey].label}: tab is not on it (--no-navigate)`);
+        continue;
+      }
+    } else {
+      await visit(gustoPage, url());
+    }
+    const report = await checkElements(gustoPage, pageKey);
+    printReport(pageKey, report);
+    tally(report);
+  }
+
+  if (!opts.noNavigate && gustoPage.url() !== startUrl) {
+    log('info', `Returning Gusto tab to ${startUrl}`);
+    await gustoPage.goto(startUrl, { waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
+  }
+
+  browser.disconnect();
+
+  console.log('');
+  log('info', `Resolved: ${totals.ok}  Fallback: ${totals.fallback}  Missing: ${totals.missing}`);
+  if (totals.fallback > 0) log('warn', 'Some elements only matched a fallback -- update the primary selector in src/selectors.js');
+  if (totals.missing > 0) {
+    log('err', 'Some elements did not resolve at all -- a run would fail on them');
+    process.exitCode = 1;
+  }
+}
+
+function runList() {
+  for (const [pageKey, { label }] of Object.entries(PAGES)) {
+    console.log(`\n${label}`);
+    for (const [name, { candidates }] of elementsOn(pageKey)) {
+      console.log(`  ${name}`);
+      candidates.forEach((sel, i) => console.log(`    ${(i === 0 ? 'primary' : `fallback ${i}`).padEnd(11)} ${sel}`));
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.command === 'list') return runList();
+  return runCheck(opts);
+}
+
+main().catch((err) => {
+  log('err', `Fatal error: ${err.message}`);
+  log('err', err.stack);
+  process.exit(1);
+});
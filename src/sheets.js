@@ -1,22 +1,26 @@
 import { CONFIG } from '../config.js';
-import { log, shortDelay, sleep, typeHuman, waitForStableDOM } from './utils.js';
+import { parseCSV } from './csv.js';
+import { resolveColumns } from './columns.js';
+import { log, shortDelay, sleep, typeHuman, waitForStableDOM, columnToIndex } from './utils.js';
+import { candidates } from './selectors.js';
+import { withRetry, transientError, ErrorKind } from './retry.js';
+import { normalizeDate, normalizeWageType, normalizeAmount, normalizeWorkerType, normalizeEin } from './values.js';
 
-const COL = CONFIG.sheets.columns;
+export { normalizeDate, normalizeWageType, normalizeAmount, normalizeWorkerType, normalizeEin };
+
+// Column letters for the sheets tab; replaced by the header lookup on every snapshot
+let COL = { ...CONFIG.sheets.columns };
 
 /**
  * Find the Name Box input in Google Sheets using multiple selector strategies.
  * Returns an ElementHandle or null.
  */
 async function findNameBox(page) {
-  return page.evaluateHandle(() => {
-    // aria-label is the most stable across Sheets updates
-    let el = document.querySelector('input[aria-label="Name Box"]');
-    if (el) return el;
-
-    // Fallback: known auto-generated IDs (fragile, but fast)
-    for (const id of [':3', ':2', ':1', ':4']) {
-      el = document.getElementById(id);
-      if (el && el.tagName === 'INPUT') return el;
+  return page.evaluateHandle((selectors) => {
+    // Registry order: aria-label first (most stable), then auto-generated IDs
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      if (el) return el;
     }
 
     // Last resort: find an <input> whose value looks like a cell reference (e.g. "A1", "D69")
@@ -25,7 +29,7 @@ async function findNameBox(page) {
     }
 
     return null;
-  });
+  }, candidates('nameBox'));
 }
 
 /**
@@ -66,14 +70,7 @@ async function goToCell(page, cellRef) {
  * Uses multiple strategies because Google Sheets' DOM IDs are not stable.
  */
 async function readSelectedCellValue(page) {
-  const value = await page.evaluate(() => {
-    const selectors = [
-      '#formula_bar_id [contenteditable="true"]',
-      '[aria-label="Formula input"]',
-      '.cell-input',
-      '#\\:5',
-      '[role="textbox"][aria-label*="ormula"]',
-    ];
+  const value = await page.evaluate((selectors) => {
     for (const sel of selectors) {
       const el = document.querySelector(sel);
       if (el) {
@@ -84,7 +81,7 @@ async function readSelectedCellValue(page) {
       }
     }
     return '';
-  });
+  }, candidates('formulaBar'));
   return value.trim();
 }
 
@@ -102,11 +99,7 @@ export async function readCell(page, col, row) {
   await shortDelay(100, 150);
 
   // Verify the Name Box shows the cell we navigated to
-  const nameBoxValue = await page.evaluate(() => {
-    const el = document.querySelector('input[aria-label="Name Box"]')
-      || (() => { for (const i of document.querySelectorAll('input')) if (/^[A-Z]{1,3}\d{1,7}$/.test(i.value?.trim())) return i; return null; })();
-    return el?.value?.trim() ?? '';
-  });
+  const nameBoxValue = await page.evaluate((el) => el?.value?.trim() ?? '', await findNameBox(page));
   if (nameBoxValue.toUpperCase() !== cellRef.toUpperCase()) {
     log('warn', `Name Box shows "${nameBoxValue}" instead of "${cellRef}", retrying navigation...`);
     await goToCell(page, cellRef);
@@ -121,42 +114,74 @@ export async function readCell(page, col, row) {
 /**
  * Write a value into a specific cell, then verify it was written correctly.
  * Types directly in "ready" mode so Google Sheets data validation is preserved.
- * Retries up to 3 times if verification fails.
+ * Retries up to 3 times if verification fails; after that the failure is only
+ * logged, unless `required` is set, in which case it is thrown.
  */
-export async function writeCell(page, col, row, value, maxRetries = 3) {
+export async function writeCell(page, col, row, value, { maxRetries = CONFIG.retry.maxAttempts, required = false } = {}) {
   const cellRef = `${col}${row}`;
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    log('data', `Writing "${value}" to cell ${cellRef} (attempt ${attempt})`);
+  try {
+    await withRetry(async (attempt) => {
+      log('data', `Writing "${value}" to cell ${cellRef} (attempt ${attempt})`);
 
-    await page.keyboard.press('Escape');
-    await shortDelay(50, 80);
-    await goToCell(page, cellRef);
-    await shortDelay(100, 150);
+      await page.keyboard.press('Escape');
+      await shortDelay(50, 80);
+      await goToCell(page, cellRef);
+      await shortDelay(100, 150);
 
-    // Type the value (replaces cell content in ready mode) and commit
-    await page.keyboard.type(value, { delay: 20 });
-    await page.keyboard.press('Enter');
-    await shortDelay(300, 400);
+      // Type the value (replaces cell content in ready mode) and commit
+      await page.keyboard.type(value, { delay: 20 });
+      await page.keyboard.press('Enter');
+      await shortDelay(300, 400);
 
-    // Verify: navigate back and read
-    const actual = await readCell(page, col, row);
-    if (actual.toLowerCase() === value.toLowerCase()) {
+      // Verify: navigate back and read
+      const actual = await readCell(page, col, row);
+      if (actual.toLowerCase() !== value.toLowerCase()) {
+        throw transientError(`Write verification failed for ${cellRef}: expected "${value}", got "${actual}"`);
+      }
       log('ok', `Verified "${value}" in ${cellRef}`);
-      return;
-    }
-
-    log('warn', `Write verification failed for ${cellRef}: expected "${value}", got "${actual}" (attempt ${attempt}/${maxRetries})`);
-    await shortDelay(300, 500);
+    }, { step: `write_${cellRef}`, page, maxAttempts: maxRetries });
+  } catch (err) {
+    // A cell that never took the value is only logged; anything else (no Name Box, login wall) propagates
+    if (required || err.kind !== ErrorKind.TRANSIENT) throw err;
+    log('err', `Failed to write "${value}" to ${cellRef} after ${maxRetries} attempts: ${err.message}`);
   }
+}
 
-  log('err', `Failed to write "${value}" to ${cellRef} after ${maxRetries} attempts`);
+/**
+ * Clear a cell: select it and press Delete (typing nothing and pressing Enter
+ * leaves the old value in place), then check it reads back empty.
+ */
+export async function clearCell(page, col, row) {
+  const cellRef = `${col}${row}`;
+  try {
+    await withRetry(async (attempt) => {
+      log('data', `Clearing cell ${cellRef} (attempt ${attempt})`);
+      await page.keyboard.press('Escape');
+      await shortDelay(30, 50);
+      await goToCell(page, cellRef);
+      await shortDelay(50, 80);
+
+      await page.keyboard.press('Delete');
+      await shortDelay(200, 300);
+
+      const actual = await readCell(page, col, row);
+      if (actual !== '') throw transientError(`Clearing ${cellRef} failed: it still reads "${actual}"`);
+      log('ok', `Cleared ${cellRef}`);
+    }, { step: `clear_${cellRef}`, page });
+  } catch (err) {
+    // Like writeCell: a cell that won't clear is only logged; anything else propagates
+    if (err.kind !== ErrorKind.TRANSIENT) throw err;
+    log('err', `Failed to clear ${cellRef}: ${err.message}`);
+  }
 }
 
 /**
  * Fast write: navigate to cell, type value, press Enter. No verification read-back.
+ * An empty value clears the cell instead (see clearCell).
  */
 export async function writeCellFast(page, col, row, value) {
+  if (value === '' || value == null) return clearCell(page, col, row);
   const cellRef = `${col}${row}`;
   log('data', `Writing "${value}" to cell ${cellRef} (fast)`);
 
@@ -171,12 +196,79 @@ export async function writeCellFast(page, col, row, value) {
   log('ok', `Wrote "${value}" to ${cellRef}`);
 }
 
+/**
+ * Fetch the active sheet (gid) as CSV from inside the logged-in Sheets tab.
+ * The export endpoint is same-origin with the tab, so the user's session cookies
+ * apply, and it returns every cell as displayed. (gviz is not used: it gives each
+ * column one data type and blanks the cells of any other type, header text included.)
+ */
+async function fetchSheetCsv(page) {
+  const { spreadsheetId, gid } = CONFIG.sheets;
+  const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=csv&gid=${gid}`;
+  log('data', `Fetching sheet export: ${url}`);
+
+  const { ok, status, contentType, text } = await page.evaluate(async (u) => {
+    const res = await fetch(u, { credentials: 'include' });
+    return { ok: res.ok, status: res.status, contentType: res.headers.get('content-type') || '', text: await res.text() };
+  }, url);
+
+  if (!ok || !contentType.includes('csv')) {
+    throw new Error(`Sheet export failed (HTTP ${status}, ${contentType || 'no content-type'}). Is the Sheets tab logged in?`);
+  }
+  return text;
+}
+
+/**
+ * Turn a 2-D grid of cell values (grid[0] = sheet row 1) into row records for
+ * every configured column. Rows past the end of the grid are omitted.
+ * `columns` is the field -> letter map from resolveColumns.
+ * Returns a Map of row number -> { row, fullName, email, status, gustoCompleted }.
+ */
+export function gridToRecords(grid, columns, startRow = 2, endRow = null) {
+  const lastRow = Math.min(endRow ?? grid.length, grid.length);
+
+  const rows = new Map();
+  for (let row = startRow; row <= lastRow; row++) {
+    const cells = grid[row - 1] ?? [];
+    const record = { row };
+    for (const [key, col] of Object.entries(columns)) {
+      record[key] = String(cells[columnToIndex(col)] ?? '').trim();
+    }
+    rows.set(row, record);
+  }
+  return rows;
+}
+
+/**
+ * Read every configured column for a span of rows in one request instead of
+ * navigating cell-by-cell.
+ */
+export async function readSheetSnapshot(page, startRow = 2, endRow = null) {
+  const grid = parseCSV(await fetchSheetCsv(page));
+  COL = resolveColumns(grid[CONFIG.sheets.headerRow - 1] ?? []);
+  const rows = gridToRecords(grid, COL, startRow, endRow);
+  log('ok', `Sheet snapshot: ${rows.size} rows from row ${startRow} read in one pass`);
+  return rows;
+}
+
+/** Column letters the sheets tab reads and writes, as resolved by the last snapshot. */
+export function sheetColumns() {
+  return COL;
+}
+
+/**
+ * True if a status cell value means the row was already sent.
+ */
+export function isStatusCompleted(value) {
+  return (value ?? '').toLowerCase() === CONFIG.sheets.statusValue.toLowerCase();
+}
+
 /**
  * Check if a row is already marked as completed (column O = "yes").
  */
 export async function isRowCompleted(page, row) {
   const val = await readCell(page, COL.status, row);
-  const done = val.toLowerCase() === CONFIG.sheets.statusValue.toLowerCase();
+  const done = isStatusCompleted(val);
   if (done) log('info', `Row ${row} already marked "${CONFIG.sheets.statusValue}", skipping`);
   return done;
 }
@@ -189,20 +281,97 @@ export async function markRowCompleted(page, row) {
 }
 
 /**
- * Read contractor data from a row: full name (col D) and email (col F).
+ * True if a status cell value means a previous run started this row but
+ * never confirmed it (the process may have died mid-workflow).
  */
-export async function readContractorRow(page, row) {
-  const fullName = await readCell(page, COL.fullName, row);
-  const email = await readCell(page, COL.email, row);
+export function isStatusPending(value) {
+  return (value ?? '').toLowerCase() === CONFIG.sheets.pendingValue.toLowerCase();
+}
+
+/**
+ * Mark a row as in progress before the Gusto workflow starts. Throws if the
+ * marker doesn't stick: without it a crash mid-workflow would go unnoticed.
+ */
+export async function markRowPending(page, row) {
+  await writeCell(page, COL.status, row, CONFIG.sheets.pendingValue, { required: true });
+}
+
+/**
+ * Write several logical columns of one row, e.g. { runId: '...', lastError: '' }.
+ * Fields whose column is not configured for the profile are skipped.
+ */
+export async function writeRowFields(page, row, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    if (!COL[field]) continue;
+    await writeCellFast(page, COL[field], row, value);
+  }
+}
+
+/**
+ * Build a person object from a row record. Optional per-row start date,
+ * wage type and pay amount fall back to the config defaults when blank.
+ * "Worker Type" picks the flow: an individual contractor (default), a business
+ * contractor (business name + EIN instead of a person's name) or a W-2
+ * employee (job title, work location, pay rate and pay schedule).
+ * Returns null if name or email is missing; throws if an optional value is invalid.
+ */
+export function toContractor(record) {
+  const { row, fullName, email } = record;
 
-  if (!fullName || !email) {
-    log('warn', `Row ${row}: missing data (name="${fullName}", email="${email}")`);
+  const workerType = record.workerType ? normalizeWorkerType(record.workerType) : 'individual_contractor';
+  if (!workerType) throw new Error(`Row ${row}: invalid worker type "${record.workerType}" (expected Individual, Business or Employee)`);
+  const isBusiness = workerType === 'business_contractor';
+  const isEmployee = workerType === 'employee';
+  const businessName = isBusiness ? (record.businessName || fullName) : '';
+
+  if (!(isBusiness ? businessName : fullName) || !email) {
+    log('warn', `Row ${row}: missing data (name="${isBusiness ? businessName : fullName}", email="${email}")`);
     return null;
   }
 
-  const parsed = parseFullName(fullName);
-  log('data', `Row ${row}: name=${JSON.stringify(parsed)}, email="${email}"`);
-  return { ...parsed, email, fullName, row };
+  const ein = isBusiness ? normalizeEin(record.ein ?? '') : null;
+  if (isBusiness && !ein) throw new Error(`Row ${row}: business contractor needs a valid 9-digit EIN (got "${record.ein ?? ''}")`);
+
+  const startDate = record.startDate ? normalizeDate(record.startDate) : CONFIG.gusto.contractStartDate;
+  if (!startDate) throw new Error(`Row ${row}: invalid start date "${record.startDate}" (expected mm/dd/yyyy or yyyy-mm-dd)`);
+
+  const defaults = isEmployee ? CONFIG.gusto.employee : CONFIG.gusto;
+  const allowedWageTypes = isEmployee ? ['Hourly', 'Salary'] : ['Fixed', 'Hourly'];
+  const wageType = record.wageType ? normalizeWageType(record.wageType) : defaults.wageType;
+  if (!allowedWageTypes.includes(wageType)) {
+    throw new Error(`Row ${row}: invalid wage type "${record.wageType || defaults.wageType}" (expected ${allowedWageTypes.join(' or ')})`);
+  }
+
+  const payAmount = record.payAmount ? normalizeAmount(record.payAmount) : defaults.payAmount;
+  if (payAmount === null && record.payAmount) throw new Error(`Row ${row}: invalid pay amount "${record.payAmount}"`);
+  if (!payAmount && (wageType === 'Hourly' || isEmployee)) {
+    const amount = wageType === 'Hourly' ? 'hourly rate' : 'annual salary';
+    const who = isEmployee ? `${wageType} employees need` : 'Hourly wage type needs';
+    throw new Error(`Row ${row}: ${who} a pay amount (${amount})`);
+  }
+
+  const employee = isEmployee
+    ? {
+      jobTitle: record.jobTitle || defaults.jobTitle,
+      workLocation: record.workLocation || defaults.workLocation,
+      paySchedule: record.paySchedule || defaults.paySchedule,
+    }
+    : {};
+  if (isEmployee && !employee.jobTitle) throw new Error(`Row ${row}: employees need a job title`);
+
+  const parsed = fullName ? parseFullName(fullName) : { firstName: '', lastName: '' };
+  const displayName = isBusiness ? businessName : `${parsed.firstName} ${parsed.lastName}`.trim();
+  log('data', `Row ${row}: ${isBusiness ? `business="${businessName}", ein=${ein}` : `name=${JSON.stringify(parsed)}`}, email="${email}", type=${workerType}, start=${startDate.month}/${startDate.day}/${startDate.year}, wage=${wageType}${payAmount ? ` ${payAmount}` : ''}${isEmployee ? `, title="${employee.jobTitle}"` : ''}`);
+  return { ...parsed, email, fullName, row, workerType, businessName, ein, displayName, startDate, wageType, payAmount, ...employee };
+}
+
+/**
+ * Read contractor data from a row: full name (col D) and email (col F).
+ */
+export async function readContractorRow(page, row) {
+  const fullName = await readCell(page, COL.fullName, row);
+  const email = await readCell(page, COL.email, row);
+  return toContractor({ row, fullName, email });
 }
 
 const SUFFIXES = new Set(['jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii']);
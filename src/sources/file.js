@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import * as XLSX from 'xlsx';
+import { gridToRecords } from '../sheets.js';
+import { resolveColumns } from '../columns.js';
+import { parseCSV, toCSV } from '../csv.js';
+import { log, columnToIndex } from '../utils.js';
+import { CONFIG } from '../../config.js';
+
+// Column letters; replaced by the header lookup on every readRows
+let COL = { ...CONFIG.sheets.columns };
+
+/** Row cache namespace for a local file, the same whichever directory the tool runs from. */
+export function fileCacheKey(inputPath) {
+  return `file:${path.resolve(inputPath)}`;
+}
+
+/**
+ * Default path for the written-back copy: "contractors.xlsx" -> "contractors.out.xlsx".
+ */
+function defaultOutPath(inputPath) {
+  const ext = path.extname(inputPath);
+  return path.join(path.dirname(inputPath), `${path.basename(inputPath, ext)}.out${ext}`);
+}
+
+// ---------------------------------------------------------------------------
+// CSV / XLSX grid I/O -- grid[0] is sheet row 1, grid[r][0] is column A
+// ---------------------------------------------------------------------------
+
+function readGrid(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return { grid: parseCSV(fs.readFileSync(filePath, 'utf-8')), workbook: null };
+  }
+
+  // Read and written as buffers: SheetJS's ESM build has no file access of its own.
+  // Number formats and styles are kept so dates in the written copy still show as dates.
+  const workbook = XLSX.read(fs.readFileSync(filePath), { type: 'buffer', cellNF: true, cellStyles: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const grid = [];
+  if (sheet['!ref']) {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    for (let r = 0; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = 0; c <= range.e.c; c++) {
+        const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+        cells.push(cell ? XLSX.utils.format_cell(cell) : '');
+      }
+      grid.push(cells);
+    }
+  }
+  return { grid, workbook };
+}
+
+function writeGrid(filePath, grid, workbook) {
+  if (!workbook) {
+    fs.writeFileSync(filePath, toCSV(grid));
+    return;
+  }
+  const bookType = path.extname(filePath).slice(1).toLowerCase() || 'xlsx';
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType }));
+}
+
+// ---------------------------------------------------------------------------
+// Source factory
+// ---------------------------------------------------------------------------
+
+/**
+ * Data source backed by a local CSV or XLSX export (first worksheet).
+ * The input file is never modified; every write is flushed to a copy
+ * (default "<name>.out.<ext>"). If that copy already exists it is read
+ * instead of the input, so a re-run picks up where the last one stopped.
+ */
+export function createFileSource(inputPath, { outPath = null } = {}) {
+  const ext = path.extname(inputPath).toLowerCase();
+  if (!['.csv', '.xlsx', '.xls'].includes(ext)) {
+    throw new Error(`Unsupported file type "${ext}" for ${inputPath} (expected .csv or .xlsx)`);
+  }
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Source file not found: ${inputPath}`);
+  }
+
+  const target = outPath ?? defaultOutPath(inputPath);
+  const readFrom = fs.existsSync(target) ? target : inputPath;
+  if (readFrom === target) log('info', `Resuming from existing output copy ${target}`);
+
+  const { grid, workbook } = readGrid(readFrom);
+  log('ok', `Loaded ${grid.length} rows from ${readFrom}`);
+
+  function writeValues(row, cells) {
+    if (cells.length === 0) return;
+    while (grid.length < row) grid.push([]);
+    const line = grid[row - 1];
+
+    for (const [col, value] of cells) {
+      const c = columnToIndex(col);
+      while (line.length <= c) line.push('');
+      line[c] = value;
+
+      if (workbook) {
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        XLSX.utils.sheet_add_aoa(sheet, [[value]], { origin: `${col}${row}` });
+      }
+    }
+    writeGrid(target, grid, workbook);
+    log('ok', `Wrote ${cells.map(([col, value]) => `${col}${row}="${value}"`).join(', ')} in ${target}`);
+  }
+
+  return {
+    name: `File ${path.basename(inputPath)}`,
+    cacheKey: fileCacheKey(inputPath),
+
+    get columns() {
+      return COL;
+    },
+
+    async readRows(startRow, endRow) {
+      COL = resolveColumns(grid[CONFIG.sheets.headerRow - 1] ?? []);
+      return gridToRecords(grid, COL, startRow, endRow);
+    },
+
+    async markPending(row) {
+      writeValues(row, [[COL.status, CONFIG.sheets.pendingValue]]);
+    },
+
+    async markSent(row) {
+      writeValues(row, [[COL.status, CONFIG.sheets.statusValue]]);
+    },
+
+    async markCompleted(row, value) {
+      writeValues(row, [[COL.gustoCompleted, value]]);
+    },
+
+    async writeOutcome(row, fields) {
+      writeValues(row, Object.entries(fields).filter(([field]) => COL[field]).map(([field, value]) => [COL[field], value]));
+    },
+
+    async close() {},
+  };
+}
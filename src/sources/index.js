@@ -0,0 +1,71 @@
+import { createSheetsTabSource } from './sheetsTab.js';
+import { createSheetsApiSource } from './sheetsApi.js';
+import { createFileSource, fileCacheKey } from './file.js';
+import { sheetCacheKey } from '../cache.js';
+import { log } from '../utils.js';
+import { CONFIG } from '../../config.js';
+
+/**
+ * A data source is a plain object with:
+ *
+ *   name                          -- human-readable label for logs
+ *   cacheKey                      -- namespace for the row cache
+ *   columns                       -- field -> column letter map, resolved from the header row by readRows
+ *   readRows(startRow, endRow)    -- Map of row -> { row, fullName, email, status, gustoCompleted }
+ *   markPending(row)              -- write the profile's pendingValue into the status column
+ *   markSent(row)                 -- write the profile's statusValue into the status column
+ *   markCompleted(row, value)     -- write a verification verdict into the gustoCompleted column
+ *   writeOutcome(row, fields)     -- write optional outcome columns ({ runId, lastError, ... });
+ *                                    fields without a configured column are ignored
+ *   close()                       -- flush anything pending
+ *
+ * Specs accepted by --source:
+ *   sheets                        -- the Google Sheets tab in the automation Chrome (default)
+ *   sheets-api                    -- the same sheet through the Sheets v4 REST API (no tab needed)
+ *   file:<path>[,out=<path>]      -- a local .csv or .xlsx export
+ */
+export async function openSource(spec, browser) {
+  const { kind, filePath, outPath } = parseSpec(spec);
+
+  switch (kind) {
+    case 'sheets':
+      return createSheetsTabSource(browser);
+
+    case 'sheets-api':
+      return createSheetsApiSource();
+
+    case 'file':
+      log('info', `Using file source ${filePath}`);
+      return createFileSource(filePath, { outPath });
+  }
+}
+
+/**
+ * The row cache namespace a source would use, without opening it.
+ * Both sheets backends share the same namespace.
+ */
+export function sourceCacheKey(spec) {
+  const { kind, filePath } = parseSpec(spec);
+  return kind === 'file' ? fileCacheKey(filePath) : sheetCacheKey(CONFIG.sheets.spreadsheetId, CONFIG.sheets.gid);
+}
+
+function parseSpec(spec) {
+  const [kind, ...rest] = spec.split(':');
+  const arg = rest.join(':');
+
+  switch (kind) {
+    case 'sheets':
+    case 'sheets-api':
+      return { kind };
+
+    case 'file': {
+      if (!arg) throw new Error('--source file: needs a path, e.g. --source file:contractors.xlsx');
+      const [filePath, ...options] = arg.split(',');
+      const outPath = options.find((o) => o.startsWith('out='))?.slice(4) ?? null;
+      return { kind, filePath, outPath };
+    }
+
+    default:
+      throw new Error(`Unknown --source "${spec}" (expected "sheets", "sheets-api" or "file:<path>")`);
+  }
+}
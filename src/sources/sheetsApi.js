@@ -0,0 +1,171 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { gridToRecords } from '../sheets.js';
+import { resolveColumns } from '../columns.js';
+import { sheetCacheKey } from '../cache.js';
+import { log, columnToIndex } from '../utils.js';
+import { CONFIG } from '../../config.js';
+
+// Column letters; replaced by the header lookup on every readRows
+let COL = { ...CONFIG.sheets.columns };
+const SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+// Fetch a new service-account token this long before the current one expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Auth: a ready-made OAuth access token, or a service-account key exchanged
+// for one via a signed JWT
+// ---------------------------------------------------------------------------
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+async function fetchServiceAccountToken(keyFile) {
+  const key = JSON.parse(fs.readFileSync(keyFile, 'utf-8'));
+  const tokenUrl = CONFIG.sheetsApi.tokenUrl ?? key.token_uri;
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({ iss: key.client_email, scope: SCOPE, aud: tokenUrl, iat: now, exp: now + 3600 }));
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(key.private_key);
+  const assertion = `${header}.${claims}.${base64url(signature)}`;
+
+  const res = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }),
+  });
+  if (!res.ok) throw new Error(`Service account token request failed: HTTP ${res.status} ${await res.text()}`);
+  const { access_token: accessToken, expires_in: expiresIn = 3600 } = await res.json();
+  return { accessToken, expiresAt: Date.now() + expiresIn * 1000 };
+}
+
+// The service-account token, reused until shortly before it expires
+let serviceAccountToken = null;
+
+/**
+ * A ready-made token is returned as is. A service-account token is cached
+ * with its expiry and fetched again before it runs out, or whenever `refresh`
+ * is set (after a 401).
+ */
+async function getAccessToken({ refresh = false } = {}) {
+  const { token, keyFile } = CONFIG.sheetsApi;
+  if (token) return token;
+  if (keyFile) {
+    const fresh = serviceAccountToken && Date.now() < serviceAccountToken.expiresAt - TOKEN_REFRESH_MARGIN_MS;
+    if (!fresh || refresh) {
+      log('info', `Exchanging service account key ${keyFile} for an access token`);
+      serviceAccountToken = await fetchServiceAccountToken(keyFile);
+    }
+    return serviceAccountToken.accessToken;
+  }
+  throw new Error('Sheets API needs GOOGLE_SHEETS_TOKEN (OAuth access token) or GOOGLE_APPLICATION_CREDENTIALS (service account key file)');
+}
+
+// ---------------------------------------------------------------------------
+// Source factory
+// ---------------------------------------------------------------------------
+
+/**
+ * Data source backed by the Sheets v4 REST API. No browser tab is involved:
+ * reads are a single values.batchGet over the configured columns and every
+ * write is a values.batchUpdate.
+ */
+export async function createSheetsApiSource() {
+  const { spreadsheetId, gid } = CONFIG.sheets;
+  const baseUrl = CONFIG.sheetsApi.baseUrl.replace(/\/$/, '');
+  await getAccessToken();
+
+  async function api(method, path, body) {
+    const send = async (token) => fetch(`${baseUrl}/spreadsheets/${spreadsheetId}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    let res = await send(await getAccessToken());
+    // A service-account token revoked or expired early: fetch a new one and try once more
+    if (res.status === 401 && CONFIG.sheetsApi.keyFile && !CONFIG.sheetsApi.token) {
+      log('warn', `Sheets API ${method} ${path}: HTTP 401, refreshing the access token`);
+      res = await send(await getAccessToken({ refresh: true }));
+    }
+    if (!res.ok) throw new Error(`Sheets API ${method} ${path} failed: HTTP ${res.status} ${await res.text()}`);
+    return res.json();
+  }
+
+  // Ranges are A1 notation against the sheet title, so resolve gid -> title once
+  const meta = await api('GET', '?fields=sheets.properties(sheetId,title)');
+  const sheet = meta.sheets?.find((s) => String(s.properties.sheetId) === String(gid));
+  if (!sheet) throw new Error(`No sheet with gid=${gid} in spreadsheet ${spreadsheetId}`);
+  const title = sheet.properties.title.replace(/'/g, "''");
+  log('ok', `Sheets API: using sheet "${sheet.properties.title}" (gid=${gid})`);
+
+  // Status values are USER_ENTERED like a person typing them; free text such as
+  // error messages and names goes in RAW, so "=..." or "+..." is never a formula
+  async function writeValues(row, cells, valueInputOption = 'USER_ENTERED') {
+    if (cells.length === 0) return;
+    await api('POST', '/values:batchUpdate', {
+      valueInputOption,
+      data: cells.map(([col, value]) => ({ range: `'${title}'!${col}${row}`, values: [[value]] })),
+    });
+    log('ok', `Wrote ${cells.map(([col, value]) => `${col}${row}="${value}"`).join(', ')} via Sheets API`);
+  }
+
+  return {
+    name: `${CONFIG.sheets.profileName} (Sheets API)`,
+    cacheKey: sheetCacheKey(CONFIG.sheets.spreadsheetId, CONFIG.sheets.gid),
+
+    get columns() {
+      return COL;
+    },
+
+    async readRows(startRow, endRow) {
+      const { headerRow } = CONFIG.sheets;
+      const header = await api('GET', `/values/${encodeURIComponent(`'${title}'!${headerRow}:${headerRow}`)}`);
+      COL = resolveColumns(header.values?.[0] ?? []);
+
+      const letters = Object.values(COL);
+      const params = new URLSearchParams({ majorDimension: 'COLUMNS', valueRenderOption: 'FORMATTED_VALUE' });
+      for (const col of letters) params.append('ranges', `'${title}'!${col}${startRow}:${col}${endRow ?? ''}`);
+
+      const { valueRanges = [] } = await api('GET', `/values:batchGet?${params}`);
+
+      // Rebuild a sparse grid (grid[0] = row 1) so records are built the same way as other sources
+      const grid = [];
+      let lastRow = startRow - 1;
+      valueRanges.forEach((vr, i) => {
+        const values = vr.values?.[0] ?? [];
+        const c = columnToIndex(letters[i]);
+        values.forEach((value, offset) => {
+          const r = startRow - 1 + offset;
+          grid[r] ??= [];
+          grid[r][c] = value;
+        });
+        lastRow = Math.max(lastRow, startRow - 1 + values.length);
+      });
+      for (let r = 0; r < lastRow; r++) grid[r] ??= [];
+
+      const rows = gridToRecords(grid, COL, startRow, endRow);
+      log('ok', `Sheets API: ${rows.size} rows from row ${startRow} read in one batchGet`);
+      return rows;
+    },
+
+    async markPending(row) {
+      await writeValues(row, [[COL.status, CONFIG.sheets.pendingValue]]);
+    },
+
+    async markSent(row) {
+      await writeValues(row, [[COL.status, CONFIG.sheets.statusValue]]);
+    },
+
+    async markCompleted(row, value) {
+      await writeValues(row, [[COL.gustoCompleted, value]]);
+    },
+
+    async writeOutcome(row, fields) {
+      await writeValues(row, Object.entries(fields).filter(([field]) => COL[field]).map(([field, value]) => [COL[field], value]), 'RAW');
+    },
+
+    async close() {},
+  };
+}
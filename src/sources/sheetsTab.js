@@ -0,0 +1,52 @@
+import { findSheetsTab, bringToFront } from '../browser.js';
+import { readSheetSnapshot, sheetColumns, markRowPending, markRowCompleted, writeCellFast, writeRowFields } from '../sheets.js';
+import { sheetCacheKey } from '../cache.js';
+import { shortDelay } from '../utils.js';
+import { CONFIG } from '../../config.js';
+
+/**
+ * Data source backed by the Google Sheets tab open in the automation Chrome.
+ * Reads come from a single CSV export; writes go through the Name Box.
+ */
+export async function createSheetsTabSource(browser) {
+  const page = await findSheetsTab(browser);
+
+  return {
+    name: CONFIG.sheets.profileName,
+    cacheKey: sheetCacheKey(CONFIG.sheets.spreadsheetId, CONFIG.sheets.gid),
+
+    get columns() {
+      return sheetColumns();
+    },
+
+    async readRows(startRow, endRow) {
+      return readSheetSnapshot(page, startRow, endRow);
+    },
+
+    async markPending(row) {
+      await bringToFront(page);
+      await shortDelay(80, 100);
+      await markRowPending(page, row);
+    },
+
+    async markSent(row) {
+      await bringToFront(page);
+      await shortDelay(80, 100);
+      await markRowCompleted(page, row);
+    },
+
+    async markCompleted(row, value) {
+      await bringToFront(page);
+      await shortDelay(50, 80);
+      await writeCellFast(page, sheetColumns().gustoCompleted, row, value);
+    },
+
+    async writeOutcome(row, fields) {
+      await bringToFront(page);
+      await shortDelay(50, 80);
+      await writeRowFields(page, row, fields);
+    },
+
+    async close() {},
+  };
+}
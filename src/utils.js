@@ -4,6 +4,15 @@ export function log(level, ...args) {
   console.log(`[${ts}] [${prefix}]`, ...args);
 }
 
+/**
+ * Identifier for one invocation, used to tag sheet rows and artifact folders.
+ * e.g. "20261019-181026-4f2a"
+ */
+export function makeRunId() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${stamp}-${Math.random().toString(16).slice(2, 6)}`;
+}
+
 export function randomBetween(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
@@ -72,3 +81,23 @@ export async function waitForStableDOM(page, idleMs = 300, timeout = 10000) {
     timeout,
   );
 }
+
+/**
+ * Convert a column letter ("A", "D", "AA") to a zero-based index.
+ */
+export function columnToIndex(col) {
+  let n = 0;
+  for (const ch of col.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/**
+ * Convert a zero-based column index back to its letter ("A", "D", "AA").
+ */
+export function indexToColumn(index) {
+  let col = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    col = String.fromCharCode(65 + ((n - 1) % 26)) + col;
+  }
+  return col;
+}
@@ -0,0 +1,78 @@
+// Cell value normalisation, shared by the row parser (src/sheets.js) and config
+// resolution (src/configLayers.js). Imports nothing, so config.js can use it.
+
+/**
+ * Normalise a start date cell to { month, day, year } (zero-padded strings).
+ * Accepts mm/dd/yyyy, m/d/yy, yyyy-mm-dd, "Feb 17, 2026" and spreadsheet serial
+ * day numbers. Returns null if the value is not a real calendar date.
+ */
+export function normalizeDate(value) {
+  const text = String(value).trim();
+  let y, m, d;
+
+  let match;
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [, y, m, d] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [, m, d, y] = match.map(Number);
+    if (y < 100) y += 2000;
+  } else if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // Spreadsheet serial date: days since 1899-12-30
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000);
+    [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if (/[a-z]/i.test(text) && !Number.isNaN(Date.parse(text))) {
+    const date = new Date(text);
+    [y, m, d] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  } else {
+    return null;
+  }
+
+  const check = new Date(Date.UTC(y, m - 1, d));
+  if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+  if (y < 2000 || y > 2100) return null;
+
+  return { month: String(m).padStart(2, '0'), day: String(d).padStart(2, '0'), year: String(y) };
+}
+
+/**
+ * Normalise a wage type cell to "Fixed", "Hourly" or "Salary". Returns null if unrecognised.
+ */
+export function normalizeWageType(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^(fixed|flat|project|fixed amount)s?$/.test(text)) return 'Fixed';
+  if (/^(hourly|hour|per hour|hr)$/.test(text)) return 'Hourly';
+  if (/^(salary|salaried|annual|yearly)$/.test(text)) return 'Salary';
+  return null;
+}
+
+/**
+ * Normalise a pay amount cell ("$1,250.00", "45", "45/hr") to a plain decimal string.
+ * Returns null if it is not a positive number.
+ */
+export function normalizeAmount(value) {
+  const text = String(value).trim().replace(/[$,\s]/g, '').replace(/\/(hr|hour|h)$/i, '');
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+  const amount = Number(text);
+  if (!(amount > 0)) return null;
+  return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+}
+
+/**
+ * Normalise a worker type cell to Gusto's workerType value.
+ * Returns null if unrecognised.
+ */
+export function normalizeWorkerType(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^(individual|contractor|individual contractor|1099)$/.test(text)) return 'individual_contractor';
+  if (/^(business|business contractor|company|agency|llc|ein)$/.test(text)) return 'business_contractor';
+  if (/^(employee|w-?2|w-?2 employee)$/.test(text)) return 'employee';
+  return null;
+}
+
+/**
+ * Normalise an EIN to "12-3456789". Returns null unless it has exactly 9 digits.
+ */
+export function normalizeEin(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length === 9 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : null;
+}
@@ -1,21 +1,21 @@
 #!/usr/bin/env node
 
-import { connectBrowser, findSheetsTab, findTab, bringToFront } from './browser.js';
-import { readCell, writeCellFast, parseFullName } from './sheets.js';
-import { checkVerification } from './gustoVerify.js';
-import { getCachedRow, setCachedRow, loadCache } from './cache.js';
-import { log, shortDelay } from './utils.js';
+import { connectBrowser, findGustoTab } from './browser.js';
+import { isStatusCompleted, parseFullName } from './sheets.js';
+import { openSource } from './sources/index.js';
+import { buildPeopleIndex, verdictFromIndex, readOutstandingItems } from './gustoIndex.js';
+import { getCachedRow, setCachedRow, loadCache, configureCache, setCacheNamespace, rowFingerprint } from './cache.js';
+import { log } from './utils.js';
+import { CLI_FLAGS } from './configLayers.js';
 import { CONFIG } from '../config.js';
 
-const COL = CONFIG.sheets.columns;
-
 // ---------------------------------------------------------------------------
 // CLI argument parsing
 // ---------------------------------------------------------------------------
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const opts = { startRow: 2, endRow: null, singleRow: null, dryRun: false, noCache: false };
+  const opts = { startRow: 2, endRow: null, singleRow: null, dryRun: false, noCache: false, recoverCache: false, source: 'sheets' };
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -29,8 +29,17 @@ function parseArgs() {
         opts.dryRun = true; break;
       case '--no-cache':
         opts.noCache = true; break;
+      case '--recover-cache':
+        opts.recoverCache = true; break;
+      case '--source':
+        opts.source = args[++i]; break;
+      case '--profile': case '--config': case '--set':
+        i++; break; // read by config.js
       case '--help': case '-h':
         printUsage(); process.exit(0);
+        break;
+      default:
+        if (CLI_FLAGS[args[i]]) i++; // config override, read by config.js
     }
   }
 
@@ -54,8 +63,14 @@ Options:
   --end-row, -e <n>     Last row to process (default: auto-detect empty)
   --row, -r <n>         Process a single row only
   --dry-run, -d         Read data but don't write to sheet
-  --sheet-b             Use Sheet B profile (default: Sheet A)
-  --no-cache            Ignore cached row data and re-read everything from Sheets
+  --profile <name>      Sheet profile from profiles/<name>.json (default: a)
+  --sheet-b             Same as --profile b
+  --source <spec>       Where rows come from: "sheets" (default), "sheets-api"
+                        or "file:<path.csv|xlsx>[,out=<path>]"
+  --no-cache            Don't skip rows the local cache says are done (the cache
+                        itself is kept; use "npm run cache -- forget" to clear rows)
+  --recover-cache       Load a corrupt row cache anyway, keeping the readable entries
+  --config <file>       User config file (see "npm run config -- show")
   --help, -h            Show this help
 
 Examples:
@@ -66,46 +81,83 @@ Examples:
 `);
 }
 
+// ---------------------------------------------------------------------------
+// Outstanding onboarding items
+// ---------------------------------------------------------------------------
+
+/**
+ * Text for the optional "Gusto Onboarding Outstanding" column: the checklist
+ * items left for someone still onboarding, blank for everyone else. Null if
+ * the checklist couldn't be read, so the cell is left as it was.
+ */
+async function outstandingFor(gustoPage, peopleIndex, who, verdict) {
+  if (verdict !== CONFIG.sheets.completedNo) return '';
+  const hit = peopleIndex.lookup(who);
+  if (hit.where !== 'onboarding') return '';
+
+  try {
+    const items = await readOutstandingItems(gustoPage, hit.person);
+    log('data', `  Outstanding: ${items.length ? items.join(', ') : 'none listed'}`);
+    return items.join(', ');
+  } catch (err) {
+    log('warn', `  Could not read onboarding checklist for "${who.name}": ${err.message}`);
+    return null;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
 async function main() {
   const opts = parseArgs();
-  if (opts.noCache) loadCache(true);
+  configureCache({ recover: opts.recoverCache });
+  loadCache();
 
   log('info', '========================================');
   log('info', ' Gusto Verification Checker');
   log('info', '========================================');
-  log('info', `Sheet profile: ${CONFIG.sheets.profileName}`);
-  log('info', `Gusto Sent col: ${COL.status} | GUSTO COMPLETED col: ${COL.gustoCompleted}`);
   log('info', `Config: startRow=${opts.startRow}, endRow=${opts.endRow ?? 'auto'}, dryRun=${opts.dryRun}, cache=${!opts.noCache}`);
 
   const browser = await connectBrowser();
-  const sheetsPage = await findSheetsTab(browser);
+  const source = await openSource(opts.source, browser);
+  setCacheNamespace(source.cacheKey);
+  log('info', `Source: ${source.name}`);
 
-  log('info', 'Looking for Gusto /people/all tab...');
-  const allPage = await findTab(browser, 'people/all');
+  const gustoPage = await findGustoTab(browser);
 
-  log('info', 'Looking for Gusto /people/onboarding tab...');
-  const onboardingPage = await findTab(browser, 'people/onboarding');
+  log('ok', 'Source and Gusto tab ready. Reading rows...');
 
-  log('ok', 'All 3 tabs found. Starting verification checks...');
+  // Read every row up front; the source is only used for writes after this
+  const snapshot = await source.readRows(opts.startRow, opts.endRow);
+  const lastRow = opts.startRow + snapshot.size - 1;
+  const COL = source.columns;
+  log('info', `Gusto Sent col: ${COL.status} | GUSTO COMPLETED col: ${COL.gustoCompleted}`);
   console.log('');
 
-  const results = { verified: 0, notVerified: 0, skipped: 0, notFound: 0, cached: 0, errors: [] };
+  const results = { verified: 0, notVerified: 0, ambiguous: 0, skipped: 0, notFound: 0, cached: 0, errors: [] };
+
+  // Built on the first row that needs it, so a fully cached run never touches Gusto
+  let peopleIndex = null;
   const maxEmptyRows = 3;
   let consecutiveEmpty = 0;
 
   for (let row = opts.startRow; ; row++) {
     if (opts.endRow && row > opts.endRow) break;
+    if (row > lastRow) {
+      log('info', `Stopping: reached end of sheet at row ${lastRow}`);
+      break;
+    }
     if (!opts.endRow && consecutiveEmpty >= maxEmptyRows) {
       log('info', `Stopping: ${maxEmptyRows} consecutive empty rows at row ${row - maxEmptyRows}`);
       break;
     }
 
     // --- Fast path: check cache ---
-    const cached = getCachedRow(row);
+    const record = snapshot.get(row);
+    // Cache entries only count while the row still holds the same person
+    const fingerprint = rowFingerprint(record);
+    const cached = opts.noCache ? null : getCachedRow(row, fingerprint);
     if (cached) {
       if (cached.completed === 'yes') {
         log('info', `Row ${row}: cached as complete (${cached.name}), skipping`);
@@ -124,19 +176,11 @@ async function main() {
 
     log('info', `--- Row ${row} ---`);
 
-    await bringToFront(sheetsPage);
-    await shortDelay(50, 80);
-
-    let sentVal;
-    if (cached?.sent === true) {
-      sentVal = CONFIG.sheets.statusValue;
-    } else {
-      sentVal = await readCell(sheetsPage, COL.status, row);
-    }
+    const sentVal = record.status;
 
-    if (sentVal.toLowerCase() !== CONFIG.sheets.statusValue.toLowerCase()) {
+    if (!isStatusCompleted(sentVal)) {
       log('info', `Row ${row}: Gusto Sent = "${sentVal}" (not "${CONFIG.sheets.statusValue}"), skipping`);
-      setCachedRow(row, { sent: false, empty: !sentVal });
+      setCachedRow(row, { sent: false, empty: !sentVal }, fingerprint);
       if (!sentVal) consecutiveEmpty++;
       else consecutiveEmpty = 0;
       results.skipped++;
@@ -144,30 +188,19 @@ async function main() {
     }
     consecutiveEmpty = 0;
 
-    let completedVal;
-    if (cached?.completedRaw) {
-      completedVal = cached.completedRaw;
-    } else {
-      completedVal = await readCell(sheetsPage, COL.gustoCompleted, row);
-    }
-
+    const completedVal = record.gustoCompleted;
     if (completedVal && completedVal.toLowerCase() === 'yes') {
       log('info', `Row ${row}: GUSTO COMPLETED already "YES", skipping`);
-      setCachedRow(row, { sent: true, completed: 'yes', completedRaw: completedVal });
+      setCachedRow(row, { sent: true, completed: 'yes', completedRaw: completedVal }, fingerprint);
       results.skipped++;
       continue;
     }
 
-    let fullName;
-    if (cached?.name) {
-      fullName = cached.name;
-    } else {
-      fullName = await readCell(sheetsPage, COL.fullName, row);
-    }
-
+    // Business contractors are listed in Gusto under their business name
+    const fullName = record.businessName || record.fullName;
     if (!fullName) {
       log('warn', `Row ${row}: no name found, skipping`);
-      setCachedRow(row, { sent: true, empty: true });
+      setCachedRow(row, { sent: true, empty: true }, fingerprint);
       consecutiveEmpty++;
       results.skipped++;
       continue;
@@ -176,7 +209,7 @@ async function main() {
     const { firstName, lastName } = parseFullName(fullName);
     log('data', `Row ${row}: "${fullName}" → first="${firstName}" last="${lastName}"`);
 
-    setCachedRow(row, { sent: true, name: fullName });
+    setCachedRow(row, { sent: true, name: fullName }, fingerprint);
 
     if (opts.dryRun) {
       log('info', `[DRY RUN] Would check verification for ${firstName} ${lastName}`);
@@ -185,30 +218,40 @@ async function main() {
     }
 
     try {
-      const verdict = await checkVerification(allPage, onboardingPage, firstName, lastName, {
+      peopleIndex ??= await buildPeopleIndex(gustoPage);
+      log('info', `Checking verification for "${fullName}"`);
+      const who = { email: record.email, name: fullName };
+      const verdict = verdictFromIndex(peopleIndex, who, {
         yesValue: CONFIG.sheets.completedYes,
         noValue: CONFIG.sheets.completedNo,
+        ambiguousValue: CONFIG.sheets.completedAmbiguous,
       });
 
       if (verdict === CONFIG.sheets.completedYes) {
         results.verified++;
       } else if (verdict === CONFIG.sheets.completedNo) {
         results.notVerified++;
+      } else if (verdict === CONFIG.sheets.completedAmbiguous) {
+        results.ambiguous++;
       } else {
         results.notFound++;
         log('warn', `Row ${row}: "${firstName} ${lastName}" not found on Gusto, leaving blank`);
         continue;
       }
 
-      await bringToFront(sheetsPage);
-      await shortDelay(50, 80);
-      await writeCellFast(sheetsPage, COL.gustoCompleted, row, verdict);
+      await source.markCompleted(row, verdict);
       log('ok', `Row ${row}: wrote "${verdict}" to col ${COL.gustoCompleted}`);
 
+      if (COL.onboardingOutstanding) {
+        const outstanding = await outstandingFor(gustoPage, peopleIndex, who, verdict);
+        if (outstanding !== null) await source.writeOutcome(row, { onboardingOutstanding: outstanding });
+      }
+
+      // Ambiguous rows are cached like "No" so the next run checks them again
       setCachedRow(row, {
         completedRaw: verdict,
         completed: verdict.toLowerCase() === 'yes' ? 'yes' : 'no',
-      });
+      }, fingerprint);
 
     } catch (err) {
       log('err', `Row ${row}: error — ${err.message}`);
@@ -224,6 +267,7 @@ async function main() {
   log('info', '========================================');
   log('info', `Verified (Yes): ${results.verified}`);
   log('info', `Not verified (No): ${results.notVerified}`);
+  log('info', `Ambiguous:  ${results.ambiguous}`);
   log('info', `Skipped:    ${results.skipped}`);
   log('info', `Cached:     ${results.cached}`);
   log('info', `Not found:  ${results.notFound}`);
@@ -236,6 +280,7 @@ async function main() {
     }
   }
 
+  await source.close();
   browser.disconnect();
   log('info', 'Disconnected from Chrome (browser remains open)');
 }
@@ -0,0 +1,36 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config.js';
+import { resolveColumns } from '../src/columns.js';
+
+beforeEach(() => {
+  CONFIG.sheets.headers = { fullName: 'Full Name', email: 'Email', status: 'Gusto Sent', gustoCompleted: 'Gusto Completed', ein: 'EIN' };
+  CONFIG.sheets.columns = {};
+});
+
+test('headers resolve to letters, ignoring case and spacing', () => {
+  const columns = resolveColumns(['Full  Name', 'email', 'Gusto Sent', 'GUSTO COMPLETED', 'EIN']);
+  assert.deepEqual(columns, { fullName: 'A', email: 'B', status: 'C', gustoCompleted: 'D', ein: 'E' });
+});
+
+test('a missing optional header is skipped, a missing required one throws', () => {
+  assert.equal(resolveColumns(['Full Name', 'Email', 'Gusto Sent', 'Gusto Completed']).ein, undefined);
+  assert.throws(() => resolveColumns(['Full Name', 'Gusto Sent', 'Gusto Completed']), /header "Email" \(email\) not found/);
+});
+
+test('a header found in two columns is ambiguous', () => {
+  assert.throws(() => resolveColumns(['Full Name', 'Email', 'Gusto Sent', 'Gusto Completed', 'Email']), /ambiguous: found in columns B, E/);
+});
+
+test('an override letter skips the lookup and is not written back to config', () => {
+  CONFIG.sheets.columns = { email: 'F' };
+  const columns = resolveColumns(['Full Name', 'Email', 'Gusto Sent', 'Gusto Completed']);
+  assert.equal(columns.email, 'F');
+  assert.deepEqual(CONFIG.sheets.columns, { email: 'F' });
+  assert.deepEqual(resolveColumns(['Full Name', 'Email', 'Gusto Sent', 'Gusto Completed']), columns);
+});
+
+test('two fields on the same letter are refused', () => {
+  CONFIG.sheets.columns = { email: 'A' };
+  assert.throws(() => resolveColumns(['Full Name', 'Email', 'Gusto Sent', 'Gusto Completed']), /email and fullName both map to column A/);
+});
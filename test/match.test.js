@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameSimilarity, nameTokens, matchPerson } from '../src/match.js';
+
+test('different first names never reach the threshold', () => {
+  for (const [a, b] of [['Mark Chen', 'Mary Chen'], ['Dan Lee', 'Dana Lee'], ['Eric Li', 'Erica Li']]) {
+    assert.ok(nameSimilarity(a, b) < 0.85, `${a} / ${b}`);
+    assert.equal(matchPerson([{ name: b }], { email: 'x@example.com', name: a }).status, 'none');
+  }
+});
+
+test('first names may match as an initial or a bracketed nickname', () => {
+  assert.ok(nameSimilarity('J Smith', 'James Smith') >= 0.85);
+  assert.equal(nameSimilarity('Robert (Bob) Smith', 'Bob Smith'), 1);
+});
+
+test('short surnames must match exactly', () => {
+  assert.ok(nameSimilarity('Ann Chen', 'Ann Chan') < 0.85);
+});
+
+test('a typo in a long surname is ambiguous, never a match', () => {
+  assert.ok(nameSimilarity('Ann Sullivan', 'Ann Sulivan') >= 0.85);
+  const withoutEmail = matchPerson([{ name: 'Ann Sulivan' }], { email: 'ann@example.com', name: 'Ann Sullivan' });
+  assert.equal(withoutEmail.status, 'ambiguous');
+  const noRowEmail = matchPerson([{ name: 'Ann Sulivan', email: 'ann@example.com' }], { name: 'Ann Sullivan' });
+  assert.equal(noRowEmail.status, 'ambiguous');
+});
+
+test('particles are dropped only while another surname token remains', () => {
+  assert.deepEqual(nameTokens('Maria de la Rosa').tokens, ['maria', 'rosa']);
+  assert.deepEqual(nameTokens('Wei Du').tokens, ['wei', 'du']);
+  assert.deepEqual(nameTokens('Van Le').tokens, ['van', 'le']);
+  assert.ok(nameSimilarity('Wei Du', 'Wei Le') < 0.85);
+  assert.equal(nameSimilarity('Van Le', 'Van Le'), 1);
+  assert.equal(matchPerson([{ name: 'Van Le' }], { name: 'Van Le' }).status, 'matched');
+});
+
+test('names with no comparable tokens compare as folded text', () => {
+  assert.equal(nameSimilarity('Jr', 'jr'), 1);
+  assert.equal(nameSimilarity('', ''), 0);
+});
+
+test('an exact name with a different email is ambiguous', () => {
+  const result = matchPerson([{ name: 'Ann Lee', email: 'other@example.com' }], { email: 'ann@example.com', name: 'Ann Lee' });
+  assert.equal(result.status, 'ambiguous');
+});
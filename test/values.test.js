@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate, normalizeAmount, normalizeEin } from '../src/values.js';
+
+const march1 = { month: '03', day: '01', year: '2026' };
+
+test('dates in every accepted format normalise to the same date', () => {
+  for (const value of ['03/01/2026', '3/1/26', '2026-03-01', 'Mar 1, 2026', '46082', 46082]) {
+    assert.deepEqual(normalizeDate(value), march1, String(value));
+  }
+});
+
+test('impossible or out-of-range dates are refused', () => {
+  for (const value of ['2026-02-30', '02/30/2026', '13/01/2026', '1999-12-31', 'soon', '']) {
+    assert.equal(normalizeDate(value), null, value);
+  }
+  assert.deepEqual(normalizeDate('2028-02-29'), { month: '02', day: '29', year: '2028' });
+});
+
+test('pay amounts drop currency signs, thousands separators and a per-hour suffix', () => {
+  assert.equal(normalizeAmount('$1,250.00'), '1250');
+  assert.equal(normalizeAmount('45/hr'), '45');
+  assert.equal(normalizeAmount(' 45.5 '), '45.50');
+  for (const value of ['0', '-20', 'abc', '12.345', '']) assert.equal(normalizeAmount(value), null, value);
+});
+
+test('an EIN needs exactly nine digits', () => {
+  assert.equal(normalizeEin('123456789'), '12-3456789');
+  assert.equal(normalizeEin('12-3456789'), '12-3456789');
+  assert.equal(normalizeEin('12345678'), null);
+  assert.equal(normalizeEin('1234567890'), null);
+});